@@ -0,0 +1,53 @@
+// Service worker: keeps the app shell (index.html plus the hashed bundles it
+// references) in Cache Storage so the app opens offline. The data itself is in
+// IndexedDB and never goes through here.
+
+const CACHE = "ytcs-shell-v1";
+const SCOPE = self.registration.scope; // the deploy's base URL, ends with "/"
+const EXTRAS = ["manifest.webmanifest", "icon.svg"].map(f => new URL(f, SCOPE).href);
+
+const assetsIn = (html) => [...html.matchAll(/(?:src|href)="([^"]+)"/g)]
+  .map(m => new URL(m[1], SCOPE).href)
+  .filter(url => url.startsWith(SCOPE));
+
+// Stores a fresh index.html, fetches whatever it references that isn't cached
+// yet and drops bundles from earlier deploys.
+async function cacheShell(response) {
+  const cache = await caches.open(CACHE);
+  const html = await response.clone().text();
+  const wanted = new Set([SCOPE, ...assetsIn(html), ...EXTRAS]);
+  await cache.put(SCOPE, response);
+  await Promise.all([...wanted].map(async (url) => { if (!(await cache.match(url))) await cache.add(url); }));
+  for (const req of await cache.keys()) if (!wanted.has(req.url)) await cache.delete(req);
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(fetch(SCOPE, { cache: "no-cache" }).then(cacheShell).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(k => k.startsWith("ytcs-") && k !== CACHE).map(k => caches.delete(k))))
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || !request.url.startsWith(SCOPE)) return;
+  if (request.mode === "navigate") {
+    // Network first so a new deploy shows up on the next load; the cached shell when offline.
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) event.waitUntil(cacheShell(response.clone()).catch(() => {}));
+          return response;
+        })
+        .catch(() => caches.match(SCOPE)),
+    );
+    return;
+  }
+  // Bundles are content-hashed, so a cached copy never goes stale.
+  event.respondWith(caches.match(request).then(hit => hit || fetch(request)));
+});
@@ -0,0 +1,125 @@
+// Reference sync server: a dependency-free Node HTTP server that keeps one
+// JSON file per workspace and speaks the protocol in src/sync.js.
+//
+//   npm run server                      # http://localhost:8787, data in server/data/
+//   PORT=9000 DATA_DIR=/srv/yt SYNC_TOKEN=secret npm run server
+//
+// GET  /api/workspaces                       → [{ id, name, createdAt }]
+// GET  /api/workspaces/:id/changes?since=N   → { cursor, items, tombstones }
+// POST /api/workspaces/:id/changes           ← { workspace, items, tombstones } → { cursor, rejected }
+//
+// With SYNC_TOKEN set, every request needs `Authorization: Bearer <token>`.
+// The deployed app is an https page, so it can only reach the server over
+// https (put it behind a TLS proxy); plain http works from `npm run dev`.
+
+import { createServer } from "node:http";
+import { mkdir, readdir, readFile, rename, writeFile } from "node:fs/promises";
+import { join, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { applyPush, changesSince, emptyDoc, loadDoc } from "../src/sync.js";
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_DIR = resolve(process.env.DATA_DIR || fileURLToPath(new URL("./data/", import.meta.url)));
+const TOKEN = process.env.SYNC_TOKEN || "";
+const MAX_BODY = 20 * 1024 * 1024;
+const ID_RE = /^[\w-]{1,100}$/; // workspace ids become file names
+
+class HttpError extends Error {
+  constructor(status, message) { super(message); this.status = status; }
+}
+
+const fileOf = (id) => join(DATA_DIR, `${id}.json`);
+
+async function readDoc(id) {
+  try { return loadDoc(JSON.parse(await readFile(fileOf(id), "utf8"))); }
+  catch (err) { if (err.code === "ENOENT") return null; throw err; }
+}
+
+// Write to a temp file and rename, so a crash never leaves half a document.
+async function writeDoc(id, doc) {
+  const tmp = `${fileOf(id)}.tmp`;
+  await writeFile(tmp, JSON.stringify(doc));
+  await rename(tmp, fileOf(id));
+}
+
+// Pushes to the same workspace run one after another.
+const queues = new Map();
+function exclusive(id, task) {
+  const run = (queues.get(id) || Promise.resolve()).then(task, task);
+  queues.set(id, run.catch(() => {}));
+  return run;
+}
+
+async function listWorkspaces() {
+  const files = (await readdir(DATA_DIR)).filter(f => f.endsWith(".json"));
+  const docs = await Promise.all(files.map(f => readDoc(f.slice(0, -5))));
+  return docs.filter(Boolean).map(d => d.workspace);
+}
+
+function readBody(req) {
+  return new Promise((resolveBody, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(new HttpError(413, "Request body too large")); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on("end", () => {
+      try { resolveBody(JSON.parse(Buffer.concat(chunks).toString("utf8") || "{}")); }
+      catch { reject(new HttpError(400, "Body is not valid JSON")); }
+    });
+    req.on("error", reject);
+  });
+}
+
+async function route(req, url) {
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) throw new HttpError(401, "Missing or wrong token");
+  if (req.method === "GET" && url.pathname === "/api/workspaces") return listWorkspaces();
+
+  const match = url.pathname.match(/^\/api\/workspaces\/([^/]+)\/changes$/);
+  if (!match) throw new HttpError(404, "Not found");
+  const id = decodeURIComponent(match[1]);
+  if (!ID_RE.test(id)) throw new HttpError(400, "Invalid workspace id");
+
+  if (req.method === "GET") {
+    const doc = await readDoc(id);
+    return doc ? changesSince(doc, Number(url.searchParams.get("since")) || 0) : { cursor: 0, items: [], tombstones: [] };
+  }
+  if (req.method === "POST") {
+    const changes = await readBody(req);
+    if (!Array.isArray(changes.items ?? []) || !Array.isArray(changes.tombstones ?? [])) throw new HttpError(400, "items and tombstones must be lists");
+    return exclusive(id, async () => {
+      const workspace = { id, name: String(changes.workspace?.name || id), createdAt: changes.workspace?.createdAt || new Date().toISOString() };
+      const doc = (await readDoc(id)) || emptyDoc(workspace);
+      const result = applyPush(doc, changes);
+      await writeDoc(id, doc);
+      return result;
+    });
+  }
+  throw new HttpError(405, "Method not allowed");
+}
+
+const server = createServer(async (req, res) => {
+  // The app is usually served from another origin (GitHub Pages, the Vite dev server).
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  if (req.method === "OPTIONS") {
+    // Chrome's Private Network Access preflight, for servers on a LAN address.
+    res.writeHead(204, { "Access-Control-Allow-Private-Network": "true" }).end();
+    return;
+  }
+
+  let status = 200, body;
+  try { body = await route(req, new URL(req.url, "http://localhost")); }
+  catch (err) {
+    status = err.status || 500;
+    body = { error: err.status ? err.message : "Internal error" };
+    if (!err.status) console.error(err);
+  }
+  res.writeHead(status, { "Content-Type": "application/json" }).end(JSON.stringify(body));
+});
+
+await mkdir(DATA_DIR, { recursive: true });
+server.listen(PORT, () => console.log(`Sync server on http://localhost:${PORT} – data in ${DATA_DIR}`));
@@ -1,38 +1,218 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import HeadlineView from "./HeadlineView.jsx";
+import HistoryPanel from "./HistoryPanel.jsx";
+import ImportDialog from "./ImportDialog.jsx";
+import BlobImage from "./BlobImage.jsx";
+import BoardView from "./BoardView.jsx";
+import CalendarView from "./CalendarView.jsx";
+import CommandPalette from "./CommandPalette.jsx";
+import DashboardView from "./DashboardView.jsx";
+import ConflictDialog from "./ConflictDialog.jsx";
+import Dialog from "./Dialog.jsx";
+import ScriptView from "./ScriptView.jsx";
+import SearchView from "./SearchView.jsx";
+import ShortcutSettings from "./ShortcutSettings.jsx";
+import StatusPill from "./StatusPill.jsx";
+import SyncSettings from "./SyncSettings.jsx";
+import TemplateLibrary from "./TemplateLibrary.jsx";
+import ThumbnailCompare from "./ThumbnailCompare.jsx";
+import ThumbnailComposer from "./ThumbnailComposer.jsx";
+import TrashView from "./TrashView.jsx";
+import WorkflowSettings from "./WorkflowSettings.jsx";
+import WorkspaceManager, { MoveVideoDialog } from "./WorkspaceManager.jsx";
+import { DATE_FIELDS, toICS } from "./calendar.js";
+import { displayTitle, headlineText } from "./headline.js";
+import { DEFAULT_WPM } from "./script.js";
+import { addRevision, clearTombstones, deleteTemplate, deleteWorkspace, describeStorageError, getItems, loadItems, loadSyncState, loadTemplates, loadTombstones, loadWorkspaces, pruneBlobs, pruneRevisions, pruneTombstones, saveSyncState, saveTemplates, saveWorkspaces, writeItems } from "./db.js";
+import { instantiateTemplate, readTemplateFile, templateFile, templateFromVideo } from "./templates.js";
+import { actionFor, bindingsFor, formatCombo } from "./shortcuts.js";
+import { applyRemote, restAdapter, syncWorkspace } from "./sync.js";
+import { isOnlyTab, onTabMessage, postTabMessage } from "./tabsync.js";
+import { restoreRevision } from "./revisions.js";
+import { isLive, moveToTrash, purgeExpired, purgeFromTrash, restoreFromTrash, trashGroups } from "./trash.js";
+import { DEFAULT_WORKFLOWS, firstStatus, recordStatus, statusInfo, statusesFor } from "./workflow.js";
+import { DEFAULT_WORKSPACE, copyVideo, moveVideo, newWorkspace, readWorkspacesFile, workspaceOf, workspacesFile } from "./workspaces.js";
+import { downloadFile, fmt, nowISO, slugify, uid } from "./util.js";
 
-// YouTube Content Studio – single-file React app
-// Adds Light/Dark theme toggle with localStorage + prefers-color-scheme
+// YouTube Content Studio – React app
+// Items persist to IndexedDB; settings (incl. the Light/Dark theme) stay in localStorage + prefers-color-scheme
 
-const STORAGE_KEY = "yt_content_studio_v8";
-const THEME_KEY = "ytcs_theme";
-const nowISO = () => new Date().toISOString();
-const fmt = (iso) => new Date(iso).toLocaleString();
-const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+const HISTORY_LIMIT = 100;
+const SYNC_INTERVAL_MS = 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000; // trash expires by the day
+const byCreated = (a, b) => a.createdAt.localeCompare(b.createdAt);
+
+// Replaces, adds or drops the records for `ids` with their fresh copies (null = deleted).
+function patchItems(list, ids, fresh) {
+  const byId = new Map(ids.map((id, n) => [id, fresh[n]]));
+  const out = list.filter(i => !byId.has(i.id) || byId.get(i.id)).map(i => byId.get(i.id) || i);
+  const have = new Set(out.map(i => i.id));
+  return [...fresh.filter(r => r && !have.has(r.id)), ...out];
+}
+
+// Items live in IndexedDB (see db.js). The hook keeps the whole list in React
+// state and, after each change, writes only the records whose object identity
+// changed since the last successful write. Writes are announced to other tabs,
+// which re-read those records; `remoteChanges` counts the changes received.
+function useItemStore() {
+  const [items, setItems] = useState([]);
+  const [ready, setReady] = useState(false);
+  const [error, setError] = useState(null);
+  const [remoteChanges, setRemoteChanges] = useState(0);
+  const persisted = useRef(null); // last list confirmed to be in IndexedDB
 
-function useLocalStorageArray(key, initial) {
-  const [items, setItems] = useState(() => {
-    if (typeof window === "undefined") return initial;
-    try {
-      const raw = window.localStorage.getItem(key);
-      const parsed = raw ? JSON.parse(raw) : initial;
-      return Array.isArray(parsed) ? parsed : initial;
-    } catch { return initial; }
-  });
   useEffect(() => {
-    if (typeof window === "undefined") return;
-    try { window.localStorage.setItem(key, JSON.stringify(items)); } catch {}
-  }, [key, items]);
-  return [items, setItems];
+    let cancelled = false;
+    loadItems().then(
+      (list) => {
+        if (cancelled) return;
+        persisted.current = list; setItems(list); setReady(true);
+        pruneTombstones().catch(err => console.warn("Couldn't prune old tombstones", err));
+        isOnlyTab().then(alone => {
+          if (!alone) return; // another tab's undo history may still point at these
+          const referenced = new Set(list.flatMap(i => [i.imageId, i.renderId]).filter(Boolean));
+          pruneBlobs(referenced).catch(err => console.warn("Couldn't prune unused images", err));
+          pruneRevisions(new Set(list.map(i => i.id))).catch(err => console.warn("Couldn't prune old revisions", err));
+        });
+      },
+      (err) => { if (cancelled) return; console.error(err); persisted.current = []; setError(describeStorageError(err)); setReady(true); },
+    );
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!ready || persisted.current === items) return;
+    const before = new Map(persisted.current.map(i => [i.id, i]));
+    const ids = new Set(items.map(i => i.id));
+    const put = items.filter(i => before.get(i.id) !== i);
+    const del = [...before.keys()].filter(id => !ids.has(id));
+    if (!put.length && !del.length) { persisted.current = items; return; }
+    // Purged records and ones moved to another channel leave a tombstone for sync.
+    const at = nowISO();
+    const left = [...del.map(id => before.get(id)), ...put.filter(i => before.has(i.id) && workspaceOf(before.get(i.id)) !== workspaceOf(i)).map(i => before.get(i.id))];
+    const tombstones = left.map(r => ({ id: r.id, workspaceId: workspaceOf(r), purgedAt: at }));
+    // On failure `persisted` stays put, so the next change retries these records too.
+    writeItems(put, del, tombstones).then(
+      () => { persisted.current = items; setError(null); postTabMessage({ type: "items", ids: [...put.map(i => i.id), ...del] }); },
+      (err) => { console.error(err); setError(describeStorageError(err)); },
+    );
+  }, [ready, items]);
+
+  // Both lists get the same fresh objects, so the write effect sees nothing to save.
+  useEffect(() => {
+    if (!ready) return;
+    return onTabMessage((msg) => {
+      if (msg.type !== "items" || !msg.ids?.length) return;
+      getItems(msg.ids).then(fresh => {
+        persisted.current = patchItems(persisted.current, msg.ids, fresh);
+        setItems(prev => patchItems(prev, msg.ids, fresh));
+        setRemoteChanges(n => n + 1);
+      }, err => console.error(err));
+    });
+  }, [ready]);
+
+  return [items, setItems, { ready, error, remoteChanges }];
 }
 
-function useTheme(defaultMode = "system") {
-  const getInitial = () => {
-    if (typeof window === "undefined") return "dark";
-    const saved = window.localStorage.getItem(THEME_KEY);
-    if (saved) return saved;
-    return defaultMode;
+// Undo/redo over whole-list snapshots. Unchanged items are shared between
+// snapshots, so each step costs one array and the store only rewrites what differs.
+function useUndoable(items, setItems) {
+  const current = useRef(items);
+  current.current = items;
+  const past = useRef([]);
+  const future = useRef([]);
+  const [, rerender] = useState(0);
+
+  const commit = useCallback((update) => {
+    const prev = current.current;
+    const next = typeof update === "function" ? update(prev) : update;
+    if (next === prev) return;
+    past.current = [...past.current.slice(1 - HISTORY_LIMIT), prev];
+    future.current = [];
+    current.current = next;
+    setItems(next);
+    rerender(n => n + 1);
+  }, [setItems]);
+
+  const step = useCallback((from, to) => {
+    if (!from.current.length) return false;
+    to.current = [...to.current, current.current];
+    current.current = from.current[from.current.length - 1];
+    from.current = from.current.slice(0, -1);
+    setItems(current.current);
+    rerender(n => n + 1);
+    return true;
+  }, [setItems]);
+
+  return {
+    commit,
+    undo: useCallback(() => step(past, future), [step]),
+    redo: useCallback(() => step(future, past), [step]),
+    // Forgets all steps, e.g. when switching channel so undo can't reach into another one.
+    reset: useCallback(() => { past.current = []; future.current = []; rerender(n => n + 1); }, []),
+    // Drops records from every step, for removals that undo mustn't bring back.
+    forget: useCallback((ids) => {
+      const gone = new Set(ids);
+      const strip = (list) => list.some(i => gone.has(i.id)) ? list.filter(i => !gone.has(i.id)) : list;
+      past.current = past.current.map(strip);
+      future.current = future.current.map(strip);
+    }, []),
+    canUndo: past.current.length > 0,
+    canRedo: future.current.length > 0,
   };
-  const [mode, setMode] = useState(getInitial);
+}
+
+// Per-channel settings are prefixed with the workspace id. The default
+// workspace keeps the original keys, so settings from before workspaces carry over.
+const settingKey = (key, workspaceId) => !workspaceId || workspaceId === DEFAULT_WORKSPACE ? `ytcs_${key}` : `ytcs_ws_${workspaceId}_${key}`;
+
+function readSetting(storageKey, initial) {
+  try {
+    const raw = window.localStorage.getItem(storageKey);
+    if (raw == null) return initial;
+    try { return JSON.parse(raw); } catch { return raw; } // the theme used to be stored as a bare string
+  } catch { return initial; }
+}
+
+const clearSettings = (workspaceId) => {
+  if (workspaceId === DEFAULT_WORKSPACE) return; // shares its keys with the global settings
+  const prefix = settingKey("", workspaceId);
+  try { Object.keys(window.localStorage).filter(k => k.startsWith(prefix)).forEach(k => window.localStorage.removeItem(k)); } catch {}
+};
+
+// Settings each tab keeps to itself: the stored value only seeds new tabs.
+// Following another tab's channel switch would skip switchWorkspace (undo
+// history, open editors).
+const TAB_LOCAL_SETTINGS = new Set(["workspace"]);
+
+// A setting in localStorage. Pass `workspaceId` to keep one value per channel;
+// switching channel re-reads the value from the new key.
+function useSetting(key, initial, workspaceId) {
+  const storageKey = settingKey(key, workspaceId);
+  const [state, setState] = useState(() => ({ storageKey, value: readSetting(storageKey, initial) }));
+  let current = state;
+  if (state.storageKey !== storageKey) { current = { storageKey, value: readSetting(storageKey, initial) }; setState(current); }
+  useEffect(() => {
+    try { window.localStorage.setItem(state.storageKey, JSON.stringify(state.value)); } catch (err) { console.warn(`Couldn't save setting ${key}`, err); }
+  }, [state]);
+  // Another tab changed it (localStorage only fires this event in other tabs).
+  useEffect(() => {
+    if (TAB_LOCAL_SETTINGS.has(key)) return;
+    const onStorage = (e) => { if (e.key === storageKey) setState({ storageKey, value: readSetting(storageKey, initial) }); };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [storageKey]);
+  const setValue = useCallback((next) => setState(prev => ({ storageKey: prev.storageKey, value: typeof next === "function" ? next(prev.value) : next })), []);
+  return [current.value, setValue];
+}
+
+const readHashQuery = () => {
+  if (typeof window === "undefined") return "";
+  return new URLSearchParams(window.location.hash.slice(1)).get("q") || "";
+};
+
+function useTheme(workspaceId, defaultMode = "system") {
+  const [mode, setMode] = useSetting("theme", defaultMode, workspaceId);
 
   useEffect(() => {
     if (typeof window === "undefined") return;
@@ -41,25 +221,59 @@ function useTheme(defaultMode = "system") {
       ? (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light')
       : mode;
     root.dataset.theme = effective; // used by CSS
-    try { window.localStorage.setItem(THEME_KEY, mode); } catch {}
   }, [mode]);
 
   return [mode, setMode];
 }
 
 export default function YouTubeContentStudio(){
-  const [items, setItems] = useLocalStorageArray(STORAGE_KEY, []);
-  const [mode, setMode] = useTheme(); // "light" | "dark" | "system"
-  const [query, setQuery] = useState("");
+  const [items, setStoredItems, storage] = useItemStore();
+  const history = useUndoable(items, setStoredItems);
+  const setItems = history.commit; // every user-facing mutation is undoable
+  const [workspaces, setWorkspaces] = useState(null); // null until loaded
+  const [workspaceId, setWorkspaceId] = useSetting("workspace", DEFAULT_WORKSPACE);
+  const ws = !workspaces || workspaces.some(w => w.id === workspaceId) ? workspaceId : workspaces[0]?.id || DEFAULT_WORKSPACE;
+  const loaded = storage.ready && workspaces != null;
+  const [managingWorkspaces, setManagingWorkspaces] = useState(false);
+  const [movingId, setMovingId] = useState(null); // video being moved/copied to another channel
+  const [syncConfig, setSyncConfig] = useSetting("sync", { url: "", token: "", auto: false });
+  const [syncStatus, setSyncStatus] = useState(null); // { at, pushed, pulled, invalid } or { at, error } for the last round
+  const [syncing, setSyncing] = useState(false);
+  const [showSync, setShowSync] = useState(false);
+  const [trashDays, setTrashDays] = useSetting("trash_days", 30);
+  const [wpm, setWpm] = useSetting("wpm", DEFAULT_WPM);
+  const [workflows, setWorkflows] = useSetting("workflows", DEFAULT_WORKFLOWS, ws);
+  const [editingWorkflows, setEditingWorkflows] = useState(false);
+  const [gapDays, setGapDays] = useSetting("publish_gap_days", 7, ws);
+  const [view, setView] = useState("list"); // "list" | "board" | "calendar" | "dashboard" | "trash" | "script" | "thumbnail" | "headlines"
+  const [historyId, setHistoryId] = useState(null); // item whose revision history is open
+  const [templates, setTemplates] = useState([]);
+  const [showTemplates, setShowTemplates] = useState(false);
+  const [comparingId, setComparingId] = useState(null); // video whose thumbnail variants are open side by side
+  const [activeId, setActiveId] = useState(null); // item shown by the single-item views
+  const [mode, setMode] = useTheme(ws); // "light" | "dark" | "system"
+  const [query, setQuery] = useState(readHashQuery); // mirrored in the URL hash so searches can be shared
   const [editingItem, setEditingItem] = useState(null);
+  const [editorDirty, setEditorDirty] = useState(false); // ScriptView / ThumbnailComposer has unsaved changes
+  const [pendingImport, setPendingImport] = useState(null); // { fileName, data } awaiting confirmation
+  const [conflict, setConflict] = useState(null); // { mine, theirs } from a save that started from an outdated copy
   const [toast, setToast] = useState("");
   const [collapsed, setCollapsed] = useState({}); // video-level collapse
   const [subCollapsed, setSubCollapsed] = useState({}); // section-level collapse
+  const [shortcutOverrides, setShortcutOverrides] = useSetting("shortcuts", {}); // { actionId: [combo] }, see shortcuts.js
+  const [showPalette, setShowPalette] = useState(false);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const [focusId, setFocusId] = useState(null); // video card to scroll to and focus once it's rendered
   const fileInputRef = useRef(null);
+  const searchRef = useRef(null);
+  const bindings = useMemo(() => bindingsFor(shortcutOverrides), [shortcutOverrides]);
 
   const showToast = (msg) => { setToast(msg); setTimeout(()=> setToast(""), 2000); };
 
-  const createBase = (type, parentId=null) => ({ id: uid(), type, parentId, title: "", content: "", tags: [], status: "idea", createdAt: nowISO(), updatedAt: nowISO() });
+  const createBase = (type, parentId=null) => {
+    const status = firstStatus(workflows, type), at = nowISO();
+    return { id: uid(), type, parentId, workspaceId: ws, title: "", content: "", tags: [], status, statusHistory: [{ status, at }], createdAt: at, updatedAt: at };
+  };
   const createVideo = () => {
     const v = { ...createBase("video"), title: "New Video" };
     setItems(prev => [v, ...prev]);
@@ -74,31 +288,380 @@ export default function YouTubeContentStudio(){
     setItems(prev => [base, ...prev]);
     showToast(`${type[0].toUpperCase()+type.slice(1)} added`);
   };
-  const upsertItem = (item) => setItems(prev => prev.map(p => p.id === item.id ? {...item, updatedAt: nowISO()} : p));
-  const removeItem = (id) => { setItems(prev => prev.filter(p => p.id !== id && p.parentId !== id)); showToast("Deleted"); };
-
-  const exportJson = () => {
-    const blob = new Blob([JSON.stringify(items, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = `yt-studio-${new Date().toISOString().slice(0,10)}.json`; a.click();
-    URL.revokeObjectURL(url);
+  // Every save also keeps a revision snapshot (see HistoryPanel) and records
+  // status changes in `statusHistory` (see workflow.js). `base` is
+  // the updatedAt the edit started from: if the stored copy has moved on since
+  // (another tab saved it, an undo), nothing is written and the conflict is
+  // shown instead; `onSettled` runs once it's resolved either way. Returns
+  // whether the item was saved.
+  const upsertItem = (item, base = item.updatedAt, onSettled) => {
+    const stored = items.find(i => i.id === item.id);
+    if (!stored || stored.updatedAt !== base) { setConflict({ mine: item, theirs: stored || null, onSettled }); return false; }
+    const saved = recordStatus({ ...item, updatedAt: nowISO() }, stored);
+    setItems(prev => prev.map(p => p.id === item.id ? saved : p));
+    addRevision(saved, stored).catch(err => { console.error(err); showToast(describeStorageError(err)); });
+    return true;
+  };
+  const resolveConflict = (keepMine) => {
+    const { mine, theirs, onSettled } = conflict;
+    setConflict(null);
+    if (!keepMine) { onSettled?.(); return; }
+    if (theirs) { if (upsertItem(mine, theirs.updatedAt, onSettled)) { showToast("Saved your version"); onSettled?.(); } return; }
+    const saved = { ...mine, updatedAt: nowISO() }; // purged elsewhere: bring it back
+    setItems(prev => [saved, ...prev]);
+    addRevision(saved).catch(err => { console.error(err); showToast(describeStorageError(err)); });
+    showToast("Restored with your changes");
+    onSettled?.();
+  };
+  // For the editors: resolves to true once their draft is saved, or dropped
+  // for the stored copy in the conflict dialog.
+  const saveDraft = (item) => new Promise(resolve => {
+    if (upsertItem(item, item.updatedAt, () => resolve(true))) { showToast("Saved"); resolve(true); }
+  });
+  const removeItem = (id) => { setItems(prev => moveToTrash(prev, id)); showToast(bindings.undo.length ? `Moved to Trash – ${formatCombo(bindings.undo[0])} to undo` : "Moved to Trash"); };
+  const restoreItem = (id) => { setItems(prev => restoreFromTrash(prev, id)); showToast("Restored"); };
+  const purgeItem = (id) => { setItems(prev => purgeFromTrash(prev, id)); showToast("Deleted forever"); };
+  const emptyTrash = () => { setItems(prev => trashGroups(prev.filter(i => workspaceOf(i) === ws)).reduce((list, g) => purgeFromTrash(list, g.root.id), prev)); showToast("Trash emptied"); };
+
+  // Another tab changed items: undoing past its edit would silently revert it.
+  useEffect(() => { if (storage.remoteChanges) history.reset(); }, [storage.remoteChanges, history.reset]);
+
+  // Expired trash is purged outside the undo history, and from its steps too:
+  // on load, when the retention changes, hourly and when the tab comes back.
+  const purgeRef = useRef(null);
+  purgeRef.current = () => {
+    const kept = new Set(purgeExpired(items, trashDays).map(i => i.id));
+    const expired = items.filter(i => !kept.has(i.id)).map(i => i.id);
+    if (!expired.length) return;
+    history.forget(expired);
+    setStoredItems(prev => prev.filter(i => !expired.includes(i.id)));
+  };
+  useEffect(() => {
+    if (!storage.ready) return;
+    const purge = () => purgeRef.current();
+    const onVisible = () => { if (document.visibilityState === "visible") purge(); };
+    purge();
+    const timer = setInterval(purge, PURGE_INTERVAL_MS);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => { clearInterval(timer); document.removeEventListener("visibilitychange", onVisible); };
+  }, [storage.ready, trashDays]);
+
+  // Global shortcuts (see shortcuts.js). Dialogs and the teleprompter
+  // handle their own keys, so nothing fires while one is open.
+  const shortcutRef = useRef(null);
+  shortcutRef.current = (action) => {
+    if (action === "palette") setShowPalette(true);
+    else if (action === "search") { searchRef.current?.focus(); searchRef.current?.select(); }
+    else if (action === "newVideo") createVideo();
+    else if (action === "undo") { if (history.undo()) showToast("Undone"); }
+    else if (action === "redo") { if (history.redo()) showToast("Redone"); }
+    else if (action === "viewList") backToList();
+    else if (action === "viewBoard") leaveView("board");
+    else if (action === "viewCalendar") leaveView("calendar");
+    else if (action === "viewDashboard") leaveView("dashboard");
+    else if (action === "toggleTheme") toggleTheme();
+    else if (action === "shortcuts") setShowShortcuts(true);
+  };
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.defaultPrevented || document.querySelector('[aria-modal="true"]')) return;
+      const action = actionFor(e, bindings);
+      if (!action) return;
+      e.preventDefault();
+      shortcutRef.current(action);
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [bindings]);
+
+  useEffect(() => {
+    loadTemplates().then(setTemplates, err => console.error(err));
+  }, []);
+  const storeTemplates = (changed) => {
+    const list = changed.map(t => ({ workspaceId: ws, ...t }));
+    setTemplates(prev => [...prev.filter(t => !list.some(n => n.id === t.id)), ...list]);
+    saveTemplates(list).then(() => postTabMessage({ type: "templates" }), err => { console.error(err); showToast(describeStorageError(err)); });
+  };
+  const saveAsTemplate = (video) => {
+    const name = window.prompt("Template name", video.title || "");
+    if (!name?.trim()) return;
+    storeTemplates([templateFromVideo(video, childrenOf(video.id), name.trim())]);
+    showToast("Template saved");
+  };
+  const createFromTemplate = (template) => {
+    if (!backToList()) return;
+    const created = instantiateTemplate(template, workflows).map(i => ({ ...i, workspaceId: ws }));
+    setItems(prev => [...created, ...prev]);
+    setCollapsed(prev => ({ ...prev, [created[0].id]: false }));
+    setShowTemplates(false);
+    showToast(`Created from “${template.name}”`);
+  };
+  const removeTemplate = (template) => {
+    setTemplates(prev => prev.filter(t => t.id !== template.id));
+    deleteTemplate(template.id).then(() => postTabMessage({ type: "templates" }), err => { console.error(err); showToast(describeStorageError(err)); });
+  };
+  const exportTemplates = (list) => {
+    const name = list.length === 1 ? `template-${slugify(list[0].name)}` : `yt-studio-templates-${new Date().toISOString().slice(0,10)}`;
+    downloadFile(`${name}.json`, JSON.stringify(templateFile(list), null, 2), "application/json");
+  };
+  const importTemplates = (file) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      let read = { templates: [], invalid: [] };
+      try { read = readTemplateFile(JSON.parse(String(reader.result))); } catch { /* reported below */ }
+      const { templates: list, invalid } = read;
+      if (!list.length) { showToast("No valid templates in that file"); return; }
+      storeTemplates(list);
+      showToast(`Imported ${list.length} template${list.length === 1 ? '' : 's'}${invalid.length ? ` – ${invalid.length} invalid skipped` : ''}`);
+    };
+    reader.readAsText(file);
+  };
+
+  useEffect(() => {
+    const fallback = [newWorkspace("My channel", DEFAULT_WORKSPACE)];
+    loadWorkspaces().then(list => setWorkspaces(list.length ? list.sort(byCreated) : fallback), err => { console.error(err); setWorkspaces(fallback); });
+  }, []);
+  // Templates and channels changed in another tab (deleting a channel deletes its templates too).
+  useEffect(() => onTabMessage((msg) => {
+    if (msg.type === "templates" || msg.type === "workspaces") loadTemplates().then(setTemplates, err => console.error(err));
+    if (msg.type === "workspaces") loadWorkspaces().then(list => { if (list.length) setWorkspaces(list.sort(byCreated)); }, err => console.error(err));
+  }), []);
+  const storeWorkspaces = (list) => {
+    setWorkspaces(prev => [...prev.filter(w => !list.some(n => n.id === w.id)), ...list].sort(byCreated));
+    saveWorkspaces(list).then(() => postTabMessage({ type: "workspaces" }), err => { console.error(err); showToast(describeStorageError(err)); });
+  };
+  // Undo history and open views belong to the channel being left. `discard`
+  // skips the unsaved-changes check when the draft's channel is going away.
+  const switchWorkspace = (id, discard = false) => {
+    if (id === ws || !leaveView("list", null, discard)) return;
+    setWorkspaceId(id);
+    history.reset();
+    setHistoryId(null); setComparingId(null); setEditingItem(null);
+  };
+  const createWorkspace = (name) => {
+    const w = newWorkspace(name);
+    storeWorkspaces([w]);
+    switchWorkspace(w.id);
+    showToast(`Channel “${name}” created`);
+  };
+  // Deleting a channel can't be undone: its items are dropped outside the undo history.
+  const removeWorkspace = (w) => {
+    setStoredItems(prev => prev.filter(i => workspaceOf(i) !== w.id));
+    history.reset();
+    setWorkspaces(prev => prev.filter(x => x.id !== w.id));
+    setTemplates(prev => prev.filter(t => workspaceOf(t) !== w.id));
+    deleteWorkspace(w.id).then(() => postTabMessage({ type: "workspaces" }), err => { console.error(err); showToast(describeStorageError(err)); });
+    clearSettings(w.id);
+    if (w.id === ws) switchWorkspace(workspaces.find(x => x.id !== w.id).id, true);
+    showToast(`Channel “${w.name}” deleted`);
+  };
+  const moveToWorkspace = (videoId, target, copy) => {
+    setItems(prev => copy ? copyVideo(prev, videoId, target) : moveVideo(prev, videoId, target));
+    setMovingId(null);
+    const name = workspaces.find(w => w.id === target)?.name;
+    showToast(copy ? `Copied to “${name}”` : `Moved to “${name}”`);
+  };
+
+  // One sync round for the current channel. Pulled changes skip the undo
+  // history (like changes from other tabs), and undo is reset past them.
+  const syncRef = useRef({ run: null, busy: false, after: null }); // `after`: channel to sync once it's open
+  const syncNow = async () => {
+    const workspace = workspaces?.find(w => w.id === ws);
+    if (!syncConfig.url || !workspace || syncRef.current.busy) return;
+    syncRef.current.busy = true; setSyncing(true);
+    const key = `${syncConfig.url}|${ws}`;
+    try {
+      const [state, tombstones] = await Promise.all([loadSyncState(key), loadTombstones(ws)]);
+      const round = await syncWorkspace(restAdapter(syncConfig.url, syncConfig.token), workspace, wsItems, tombstones.map(t => ({ id: t.id, purgedAt: t.purgedAt })), state);
+      if (round.updates.length || round.removals.length) {
+        setStoredItems(prev => applyRemote(prev, ws, round.updates, round.removals));
+        history.reset();
+      }
+      await Promise.all([saveSyncState(key, round.state), clearTombstones(tombstones)]);
+      setSyncStatus({ at: nowISO(), pushed: round.pushed, pulled: round.updates.length + round.removals.length, invalid: round.invalid });
+    } catch (err) {
+      console.error(err);
+      setSyncStatus({ at: nowISO(), error: err.message });
+    } finally {
+      syncRef.current.busy = false; setSyncing(false);
+    }
+  };
+  syncRef.current.run = syncNow;
+  const joinWorkspace = (remote) => {
+    storeWorkspaces([{ id: remote.id, name: remote.name, createdAt: remote.createdAt || nowISO() }]);
+    switchWorkspace(remote.id);
+    setShowSync(false);
+    syncRef.current.after = remote.id;
+    showToast(`Added “${remote.name}”`);
+  };
+  useEffect(() => {
+    if (!loaded || syncRef.current.after !== ws) return;
+    syncRef.current.after = null;
+    syncNow();
+  }, [loaded, ws]);
+  useEffect(() => {
+    if (!syncConfig.url || !syncConfig.auto || !loaded) return;
+    const tick = () => { if (navigator.onLine !== false) syncRef.current.run(); };
+    tick();
+    const timer = setInterval(tick, SYNC_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [syncConfig.url, syncConfig.token, syncConfig.auto, loaded, ws]);
+
+  const exportWorkspace = (w) => {
+    downloadFile(`yt-studio-${slugify(w.name)}-${new Date().toISOString().slice(0,10)}.json`, JSON.stringify(items.filter(i => workspaceOf(i) === w.id), null, 2), "application/json");
     showToast("Exported JSON");
   };
+  const exportJson = () => { const w = workspaces?.find(w => w.id === ws); if (w) exportWorkspace(w); }; // nothing to export while loading
+  const exportAllWorkspaces = () => {
+    downloadFile(`yt-studio-all-channels-${new Date().toISOString().slice(0,10)}.json`, JSON.stringify(workspacesFile(workspaces, items), null, 2), "application/json");
+    showToast("Exported all channels");
+  };
+  const exportCalendar = () => {
+    downloadFile(`yt-studio-schedule-${new Date().toISOString().slice(0,10)}.ics`, toICS(live.filter(i => i.type === "video")), "text/calendar");
+    showToast("Exported calendar");
+  };
 
   const onImport = (file) => {
     const reader = new FileReader();
     reader.onload = () => {
-      try { const data = JSON.parse(String(reader.result)); if (Array.isArray(data)) { setItems(data); showToast("Imported JSON"); } else showToast("Invalid JSON"); }
+      try {
+        const data = JSON.parse(String(reader.result));
+        const all = readWorkspacesFile(data);
+        if (all) setPendingImport({ fileName: file.name, data: all.items, workspaces: all.workspaces });
+        else if (Array.isArray(data)) setPendingImport({ fileName: file.name, data });
+        else showToast("Invalid JSON: expected a list of items");
+      }
       catch { showToast("Invalid JSON"); }
     };
     reader.readAsText(file);
   };
+  // A channel export lands in the current channel; an all-channels export
+  // applies to every channel and brings its channel list along. Replacing
+  // every channel can't be undone (like deleting one): undo would bring back
+  // items of channels that no longer exist.
+  const confirmImport = (plan, mode) => {
+    const incoming = pendingImport.workspaces;
+    if (incoming) {
+      if (mode === "replace") {
+        setStoredItems(plan.result);
+        history.reset();
+        workspaces.filter(w => !incoming.some(n => n.id === w.id)).forEach(w => { deleteWorkspace(w.id).then(() => postTabMessage({ type: "workspaces" }), err => console.error(err)); clearSettings(w.id); });
+        setTemplates(prev => prev.filter(t => incoming.some(w => w.id === workspaceOf(t))));
+        setWorkspaces([]);
+        storeWorkspaces(incoming);
+      } else {
+        setItems(plan.result);
+        storeWorkspaces(incoming.filter(n => !workspaces.some(w => w.id === n.id)));
+      }
+    } else {
+      setItems(prev => [...plan.result.map(r => workspaceOf(r) === ws ? r : { ...r, workspaceId: ws }), ...prev.filter(i => workspaceOf(i) !== ws)]);
+    }
+    setPendingImport(null);
+    showToast(`Imported ${plan.added.length + plan.updated.length} items`);
+  };
 
-  const saveEdit = () => { if (editingItem) { upsertItem(editingItem); setEditingItem(null); showToast("Saved"); } };
+  const saveEdit = () => { if (editingItem) { if (upsertItem(editingItem)) showToast("Saved"); setEditingItem(null); } };
 
-  const videos = useMemo(() => items.filter(i => i.type === "video" && (i.title.toLowerCase().includes(query.toLowerCase()) || query === "")), [items, query]);
-  const childrenOf = (videoId) => items.filter(i => i.parentId === videoId);
+  const wsItems = useMemo(() => items.filter(i => workspaceOf(i) === ws), [items, ws]);
+  const wsTemplates = templates.filter(t => workspaceOf(t) === ws);
+  const otherIds = useMemo(() => new Set(items.filter(i => workspaceOf(i) !== ws).map(i => i.id)), [items, ws]);
+  const live = useMemo(() => wsItems.filter(isLive), [wsItems]);
+  const trashCount = useMemo(() => trashGroups(wsItems).length, [wsItems]);
+  const videos = useMemo(() => live.filter(i => i.type === "video"), [live]);
+  const childrenOf = (videoId) => live.filter(i => i.parentId === videoId);
+  const active = activeId ? live.find(i => i.id === activeId) : null;
+  // Every change of view goes through here: leaving the script or thumbnail
+  // editor drops its draft, so ask first unless `discard` says the editor
+  // already did. Returns false when the user stays.
+  const leaveView = (next, id = null, discard = false) => {
+    if (editorDirty && !discard && !window.confirm("Discard unsaved changes?")) return false;
+    setActiveId(id); setView(next);
+    return true;
+  };
+  const openItem = (item) => leaveView(item.type, item.id);
+  const openHeadlines = (videoId) => leaveView("headlines", videoId);
+  const chooseHeadline = (video, headlineId) => upsertItem({ ...video, chosenHeadlineId: headlineId || undefined });
+  const backToList = () => leaveView("list");
+  const closeEditor = () => leaveView("list", null, true);
+  const toggleTheme = () => setMode(document.documentElement.dataset.theme === "dark" ? "light" : "dark");
+  const openSearchHit = (item) => {
+    if (item.type === "script" || item.type === "thumbnail") openItem(item);
+    else if (item.type === "headline") openHeadlines(item.parentId);
+    else setEditingItem(item);
+  };
+
+  // The shortcut's first combo in a tooltip, e.g. "Undo (Ctrl+Z)".
+  const hint = (label, action) => bindings[action]?.length ? `${label} (${formatCombo(bindings[action][0])})` : label;
+  const jumpToVideo = (v) => {
+    if (!backToList()) return false;
+    setQuery(""); setCollapsed(prev => ({ ...prev, [v.id]: false })); setFocusId(v.id);
+    return true;
+  };
+  useEffect(() => {
+    if (!focusId || view !== "list" || query.trim()) return;
+    const el = document.getElementById(`video-${focusId}`);
+    if (!el) return;
+    el.scrollIntoView({ block: "center" });
+    el.focus({ preventScroll: true });
+    setFocusId(null);
+  }, [focusId, view, query, loaded]);
+
+  // Commands for the Ctrl/⌘+K palette (see CommandPalette), built while it's open.
+  const paletteCommands = () => {
+    const TYPE_LABELS = { script: "Script", thumbnail: "Thumbnail", headline: "Headline" };
+    const videoTitle = (id) => live.find(i => i.id === id)?.title || "Untitled Video";
+    const itemLabel = (i) => i.type === "video" ? i.title || "Untitled Video" : `${(i.type === "headline" ? headlineText(i) : i.title) || "Untitled"} – ${videoTitle(i.parentId)}`;
+    const forVideo = (type) => ({
+      id: `new-${type}`, label: `New ${type} for…`, group: "Create", placeholder: "Pick a video…",
+      children: () => videos.map(v => ({ id: v.id, label: v.title || "Untitled Video", group: "Video", run: () => { if (jumpToVideo(v)) createChild(v.id, type); } })),
+    });
+    const statusStep = (item) => ({
+      id: item.id, label: itemLabel(item), group: item.type === "video" ? "Video" : TYPE_LABELS[item.type], placeholder: "Pick a status…",
+      children: () => statusesFor(workflows, item.type).map(st => ({
+        id: st.id, label: `${st.label}${st.id === item.status ? " (current)" : ""}`, group: "Status",
+        run: () => { if (st.id !== item.status && upsertItem({ ...item, status: st.id })) showToast(`Status: ${st.label}`); },
+      })),
+    });
+    return [
+      { id: "new-video", label: "New video", group: "Create", combos: bindings.newVideo, run: createVideo },
+      { id: "new-from-template", label: "New video from template", group: "Create", run: () => setShowTemplates(true) },
+      forVideo("script"), forVideo("thumbnail"), forVideo("headline"),
+      { id: "change-status", label: "Change status…", group: "Edit", placeholder: "Pick a video or item…", children: () => live.map(statusStep) },
+      { id: "undo", label: "Undo", group: "Edit", combos: bindings.undo, run: () => { if (history.undo()) showToast("Undone"); } },
+      { id: "redo", label: "Redo", group: "Edit", combos: bindings.redo, run: () => { if (history.redo()) showToast("Redone"); } },
+      { id: "view-list", label: "List", group: "View", combos: bindings.viewList, run: backToList },
+      { id: "view-board", label: "Board", group: "View", combos: bindings.viewBoard, run: () => leaveView("board") },
+      { id: "view-calendar", label: "Calendar", group: "View", combos: bindings.viewCalendar, run: () => leaveView("calendar") },
+      { id: "view-dashboard", label: "Dashboard", group: "View", combos: bindings.viewDashboard, run: () => leaveView("dashboard") },
+      { id: "view-trash", label: `Trash${trashCount ? ` (${trashCount})` : ""}`, group: "View", run: () => leaveView("trash") },
+      { id: "toggle-theme", label: "Toggle light/dark theme", group: "View", combos: bindings.toggleTheme, run: toggleTheme },
+      {
+        id: "switch-channel", label: "Switch channel…", group: "Channel", placeholder: "Pick a channel…",
+        children: () => workspaces.filter(w => w.id !== ws).map(w => ({ id: w.id, label: w.name, group: "Channel", run: () => switchWorkspace(w.id) })),
+      },
+      { id: "manage-channels", label: "Manage channels", group: "Channel", run: () => setManagingWorkspaces(true) },
+      { id: "import", label: "Import JSON…", group: "File", run: () => fileInputRef.current?.click() },
+      { id: "export", label: "Export channel as JSON", group: "File", run: exportJson },
+      { id: "export-all", label: "Export all channels as JSON", group: "File", run: exportAllWorkspaces },
+      { id: "export-calendar", label: "Export calendar (.ics)", group: "File", run: exportCalendar },
+      ...(syncConfig.url ? [{ id: "sync-now", label: "Sync this channel now", group: "Settings", run: syncNow }] : []),
+      { id: "sync-settings", label: "Sync settings", group: "Settings", run: () => setShowSync(true) },
+      { id: "workflows", label: "Status workflows", group: "Settings", run: () => setEditingWorkflows(true) },
+      { id: "shortcuts", label: "Keyboard shortcuts", group: "Settings", combos: bindings.shortcuts, run: () => setShowShortcuts(true) },
+      ...videos.map(v => ({ id: `video:${v.id}`, label: itemLabel(v), group: "Video", run: () => jumpToVideo(v) })),
+      ...live.filter(i => i.type !== "video").map(i => ({ id: `item:${i.id}`, label: itemLabel(i), group: TYPE_LABELS[i.type], run: () => openSearchHit(i) })),
+    ];
+  };
+
+  useEffect(() => {
+    const hash = query ? `#q=${encodeURIComponent(query)}` : "";
+    if (window.location.hash !== hash) window.history.replaceState(null, "", window.location.pathname + window.location.search + hash);
+  }, [query]);
+  useEffect(() => {
+    const onHash = () => setQuery(readHashQuery());
+    window.addEventListener("hashchange", onHash);
+    return () => window.removeEventListener("hashchange", onHash);
+  }, []);
 
   const css = `
     :root{--bg:#0b1020;--text:#e5e7eb;--muted:#9aa7bd;--panel:#10172a;--panel2:#0f1326;--stroke:#1f2937;--stroke2:#243049;--brand:#6d95ff;--accent:#5a7ee6}
@@ -112,6 +675,7 @@ export default function YouTubeContentStudio(){
     .input:focus{border-color:var(--brand);box-shadow:0 0 0 3px color-mix(in oklab, var(--brand), transparent 80%)}
     .btn{border:1px solid var(--stroke2);background:var(--panel);color:var(--text);padding:8px 10px;border-radius:10px;cursor:pointer;display:inline-flex;align-items:center;gap:.4rem}
     .btn:hover{border-color:var(--brand)}
+    .btn:disabled{opacity:.5;cursor:default;border-color:var(--stroke2)}
     .btn.primary{background:linear-gradient(180deg,var(--brand),var(--accent));border-color:var(--accent);color:white}
     .toolbar{display:flex;gap:8px;align-items:center;margin-left:auto}
     .container{max-width:1100px;margin:0 auto;padding:20px}
@@ -130,7 +694,119 @@ export default function YouTubeContentStudio(){
     .modal-h{padding:12px 14px;border-bottom:1px solid var(--stroke);font-weight:800}
     .modal-b{padding:14px;display:grid;gap:10px}
     .field input,.field textarea,.field select{width:100%;background:var(--panel2);border:1px solid var(--stroke2);color:var(--text);padding:10px 12px;border-radius:10px}
+    .empty{border:1px dashed var(--stroke2);padding:24px;border-radius:12px;color:var(--muted);text-align:center}
+    .banner{padding:10px 12px;border-radius:12px;border:1px solid var(--stroke2);background:var(--panel2);margin-bottom:16px}
+    .banner.error{border-color:#ef4444;background:color-mix(in oklab, var(--panel2), #ef4444 15%)}
+    .import-list summary{cursor:pointer;display:flex;gap:8px;align-items:center}
+    .import-list ul{margin:6px 0 0;padding-left:20px;max-height:160px;overflow:auto;font-size:.9rem}
+    .muted{color:var(--muted);font-size:.85rem}
+    .field label{display:block;color:var(--muted);font-size:.85rem;margin-bottom:4px}
+    .script-part{display:grid;gap:10px}
+    .drag-handle{cursor:grab;color:var(--muted);font-size:1.2rem;padding:0 4px;user-select:none}
+    .card.dragging{opacity:.5}
+    .prompter{position:fixed;inset:0;z-index:50;background:#000;color:#fff;display:flex;flex-direction:column}
+    .prompter-bar{display:flex;gap:12px;align-items:center;flex-wrap:wrap;padding:10px 16px;background:#111;border-bottom:1px solid #333;font-size:.9rem}
+    .prompter-scroll{flex:1;overflow-y:auto;padding:30vh 8vw 0;line-height:1.5;position:relative}
+    .prompter-guide{position:fixed;left:0;right:0;top:40vh;border-top:2px solid #ef444488;pointer-events:none}
+    .prompter-label{font-size:.4em;text-transform:uppercase;letter-spacing:.1em;color:#9aa7bd;margin-top:1.5em}
+    .status-pill{border-color:var(--status);background:color-mix(in oklab, var(--panel2), var(--status) 22%)}
+    .board{display:flex;gap:12px;overflow-x:auto;padding-bottom:8px;align-items:flex-start}
+    .board-col{flex:0 0 240px;background:var(--panel2);border:1px solid var(--stroke2);border-radius:14px;padding:8px;display:flex;flex-direction:column;gap:8px;min-height:120px}
+    .board-col.over{border-color:var(--brand);box-shadow:0 0 0 3px color-mix(in oklab, var(--brand), transparent 80%)}
+    .board-col-h{display:flex;justify-content:space-between;align-items:center;font-weight:700;padding:4px 6px;border-left:4px solid var(--status)}
+    .board-card{background:var(--panel);border:1px solid var(--stroke2);border-radius:10px;padding:10px;cursor:grab}
+    .board-card.dragging{opacity:.5}
+    .date-fields{display:grid;grid-template-columns:repeat(3,1fr);gap:8px}
+    .cal{display:grid;grid-template-columns:repeat(7,minmax(0,1fr));gap:4px}
+    .cal-head{color:var(--muted);font-size:.8rem;text-align:center;padding:4px}
+    .cal-day{min-height:96px;background:var(--panel2);border:1px solid var(--stroke2);border-radius:10px;padding:6px;display:flex;flex-direction:column;gap:4px}
+    .cal-week .cal-day{min-height:260px}
+    .cal-day.outside{opacity:.45}
+    .cal-day.today{border-color:var(--brand)}
+    .cal-day.gap{background:repeating-linear-gradient(135deg,var(--panel2) 0 8px,color-mix(in oklab, var(--panel2), #f59e0b 14%) 8px 16px)}
+    .cal-day.over{border-color:var(--brand);box-shadow:0 0 0 3px color-mix(in oklab, var(--brand), transparent 80%)}
+    .cal-date{font-size:.8rem;color:var(--muted)}
+    .cal-chip{font-size:.78rem;padding:3px 6px;border-radius:6px;background:var(--panel);border:1px solid var(--stroke2);cursor:grab;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
+    .cal-chip.overdue{border-color:#ef4444;background:color-mix(in oklab, var(--panel), #ef4444 20%)}
+    .row-thumb{width:64px;height:36px;object-fit:cover;border-radius:4px;border:1px solid var(--stroke2)}
+    .composer{display:grid;grid-template-columns:minmax(0,1fr) 280px;gap:16px;align-items:start}
+    .composer-stage{position:relative;border:1px solid var(--stroke2);border-radius:12px;overflow:hidden;background:#000}
+    .composer-stage.over{border-color:var(--brand);box-shadow:0 0 0 3px color-mix(in oklab, var(--brand), transparent 80%)}
+    .composer-stage canvas{display:block;width:100%;height:auto;cursor:move;touch-action:none}
+    .composer-hint{position:absolute;inset:0;display:flex;align-items:center;justify-content:center;color:#cbd5e1;pointer-events:none}
+    .composer-panel{display:grid;gap:10px}
+    .composer-props{display:grid;gap:8px;padding:10px;border:1px solid var(--stroke2);border-radius:12px;background:var(--panel2)}
+    .row.selected{border-color:var(--brand)}
+    .compare{display:grid;grid-template-columns:repeat(auto-fit,minmax(300px,1fr));gap:16px;max-height:75vh;overflow:auto}
+    .compare-col{display:grid;gap:10px;align-content:start}
+    .compare-full img,.feed-thumb img{display:block;width:100%;aspect-ratio:16/9;object-fit:cover;border-radius:10px}
+    .thumb-empty{aspect-ratio:16/9;display:flex;align-items:center;justify-content:center;background:var(--panel2);border:1px dashed var(--stroke2);border-radius:10px;color:var(--muted);font-size:.8rem}
+    .feed-card{display:flex;gap:10px;font-family:Roboto,Arial,sans-serif}
+    .feed-home{flex-direction:column;width:320px}
+    .feed-small .feed-thumb{flex:0 0 168px;width:168px}
+    .feed-thumb{position:relative}
+    .feed-duration{position:absolute;right:6px;bottom:6px;background:#000c;color:#fff;font-size:.72rem;padding:1px 4px;border-radius:4px}
+    .feed-title{font-weight:600;line-height:1.3;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
+    .feed-small .feed-title{font-size:.85rem}
+    .feed-sub{color:var(--muted);font-size:.8rem}
+    .card.chosen{border-color:#f59e0b}
+    .meter{position:relative;flex:1;height:8px;border-radius:999px;background:var(--panel2);border:1px solid var(--stroke2);overflow:hidden}
+    .meter-fill{height:100%;background:#22c55e}
+    .meter-fill.long{background:#f59e0b}
+    .meter-fill.over{background:#ef4444}
+    .meter-mark{position:absolute;top:0;bottom:0;width:2px;background:var(--text);opacity:.5}
+    .checks{margin:0;padding:0;list-style:none;display:grid;gap:2px;font-size:.88rem}
+    .checks .ok{color:var(--muted)}
+    .score{border-color:#22c55e}
+    .score.mid{border-color:#f59e0b}
+    .score.low{border-color:#ef4444}
+    .pairings{display:grid;grid-template-columns:repeat(auto-fill,minmax(320px,1fr));gap:16px}
+    .facets{display:flex;gap:8px;flex-wrap:wrap}
+    .facets .input{min-width:0}
+    .search-hit{cursor:pointer}
+    .search-hit:hover{border-color:var(--brand)}
+    .snippet{font-size:.88rem;margin-top:4px}
+    mark{background:color-mix(in oklab, #facc15, transparent 45%);color:inherit;border-radius:3px;padding:0 1px}
+    .history{display:grid;grid-template-columns:300px minmax(0,1fr);gap:14px;max-height:70vh}
+    .history-list{display:flex;flex-direction:column;gap:6px;overflow:auto}
+    .history-rev{display:flex;gap:6px;align-items:center;padding:6px 8px;border:1px solid var(--stroke2);border-radius:10px;background:var(--panel2);font-size:.88rem}
+    .history-rev.selected{border-color:var(--brand)}
+    .history-diff{overflow:auto;display:grid;gap:12px;align-content:start}
+    .diff{white-space:pre-wrap;background:var(--panel2);border:1px solid var(--stroke2);border-radius:10px;padding:8px 10px;line-height:1.5}
+    .diff ins{background:color-mix(in oklab, #22c55e, transparent 65%);text-decoration:none}
+    .diff del{background:color-mix(in oklab, #ef4444, transparent 65%)}
     .sectionHead{background:var(--panel2);border:1px solid var(--stroke2);border-radius:10px;padding:10px 12px;display:flex;align-items:center;justify-content:space-between;margin-top:10px}
+    .card-h,.sectionHead,.collapsible-header{cursor:pointer}
+    .disclosure{background:none;border:0;padding:2px 4px;margin:-2px -4px;color:inherit;font:inherit;cursor:pointer;display:flex;align-items:center;gap:8px;text-align:left;border-radius:6px}
+    .disclosure:focus-visible,.btn:focus-visible,.palette-item:focus-visible{outline:2px solid var(--brand);outline-offset:2px}
+    .sr-only{position:absolute;width:1px;height:1px;padding:0;margin:-1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0}
+    kbd{font-family:ui-monospace,monospace;font-size:.78rem;padding:1px 6px;border:1px solid var(--stroke2);border-bottom-width:2px;border-radius:6px;background:var(--panel2);color:var(--text)}
+    .palette-backdrop{align-items:flex-start;padding-top:12vh}
+    .palette{width:min(640px,92vw);display:flex;flex-direction:column;max-height:70vh}
+    .palette-input{display:flex;gap:8px;align-items:center;padding:10px;border-bottom:1px solid var(--stroke)}
+    .palette-input .input{flex:1;min-width:0}
+    .palette-list{overflow:auto;padding:6px}
+    .palette-item{display:flex;gap:10px;align-items:center;padding:8px 10px;border-radius:8px;cursor:pointer}
+    .palette-item.active{background:color-mix(in oklab, var(--panel2), var(--brand) 22%)}
+    .palette-group{width:84px;flex:0 0 auto}
+    .palette-foot{padding:8px 12px;border-top:1px solid var(--stroke)}
+    .dash{display:grid;gap:16px;grid-template-columns:repeat(auto-fit,minmax(min(420px,100%),1fr))}
+    .dash-stats{grid-column:1/-1;display:grid;gap:12px;grid-template-columns:repeat(auto-fit,minmax(200px,1fr))}
+    .dash-stat{display:grid;gap:2px;padding:12px 14px;border:1px solid var(--stroke);border-radius:14px;background:var(--panel)}
+    .dash-stat b{font-size:1.5rem}
+    .dash-h{margin:0;font-size:1rem}
+    .dash-bar{display:grid;grid-template-columns:140px minmax(0,1fr) auto;gap:10px;align-items:center}
+    .dash-missing{display:grid;gap:12px;grid-template-columns:repeat(3,minmax(0,1fr))}
+    .dash-missing ul{margin:6px 0 0;padding-left:18px;font-size:.9rem}
+    .link{background:none;border:0;padding:0;color:var(--brand);font:inherit;cursor:pointer;text-align:left}
+    .link:hover{text-decoration:underline}
+    .cadence{display:block;width:100%;height:auto}
+    .cadence .pub{fill:var(--brand)}
+    .cadence .plan{fill:none;stroke:var(--brand);stroke-dasharray:3 2}
+    .cadence .now{fill:color-mix(in oklab, var(--brand), transparent 88%)}
+    .cadence .axis{stroke:var(--stroke2)}
+    .cadence .grid-line{stroke:var(--stroke2);stroke-dasharray:2 4}
+    .cadence .label{fill:var(--muted);font-size:10px}
   `;
 
   return (
@@ -140,23 +816,77 @@ export default function YouTubeContentStudio(){
       <div className="header">
         <div className="header-inner">
           <div style={{fontWeight:800}}>📺 YouTube Content Studio</div>
-          <input className="input" placeholder="Search videos…" value={query} onChange={(e)=> setQuery(e.target.value)} />
+          <select className="input" style={{minWidth:140}} value={ws} title="Channel" onChange={(e)=> {
+            if (e.target.value === '__manage') setManagingWorkspaces(true);
+            else switchWorkspace(e.target.value);
+          }}>
+            {(workspaces || []).map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            <option value="__manage">⚙️ Manage channels…</option>
+          </select>
+          <input ref={searchRef} className="input" type="search" aria-label="Search" placeholder="Search… e.g. tag:tutorial status:draft" value={query} onChange={(e)=> {
+            if (view !== 'list' && !backToList()) return;
+            setQuery(e.target.value);
+          }} />
           <div className="toolbar">
             <button className="btn" onClick={()=> fileInputRef.current?.click()}>📥 Import</button>
-            <button className="btn" onClick={exportJson}>📤 Export</button>
+            <button className="btn" disabled={!loaded} onClick={exportJson}>📤 Export</button>
             <button className="btn" onClick={createVideo}>➕ New Video</button>
+            <button className="btn" onClick={()=> setShowTemplates(true)} title="New video from template">📑 From template</button>
+            <button className="btn" disabled={!history.canUndo} onClick={history.undo} title={hint("Undo", "undo")} aria-label="Undo">↶</button>
+            <button className="btn" disabled={!history.canRedo} onClick={history.redo} title={hint("Redo", "redo")} aria-label="Redo">↷</button>
+            <select className="input" style={{minWidth:120}} value={['board','calendar','dashboard'].includes(view) ? view : 'list'} onChange={(e)=> leaveView(e.target.value)} title="View">
+              <option value="list">📋 List</option>
+              <option value="board">🗂️ Board</option>
+              <option value="calendar">📅 Calendar</option>
+              <option value="dashboard">📊 Dashboard</option>
+            </select>
+            <button className="btn" onClick={()=> setEditingWorkflows(true)} title="Status workflows" aria-label="Status workflows">⚙️</button>
+            <button className="btn" onClick={()=> setShowSync(true)} title={!syncConfig.url ? "Sync (off)" : syncStatus?.error ? `Last sync failed: ${syncStatus.error}` : syncStatus ? `Last sync ${fmt(syncStatus.at)}` : "Sync"}>
+              {syncing ? '⏳' : syncStatus?.error ? '⚠️' : '🔄'}
+            </button>
+            <button className={`btn${view==='trash' ? ' primary' : ''}`} onClick={()=> leaveView(view==='trash' ? 'list' : 'trash')}>🗑️ Trash{trashCount ? ` (${trashCount})` : ''}</button>
             <select className="input" style={{minWidth:120}} value={mode} onChange={(e)=> setMode(e.target.value)} title="Theme">
               <option value="system">🖥️ System</option>
               <option value="light">☀️ Light</option>
               <option value="dark">🌙 Dark</option>
             </select>
+            <button className="btn" onClick={()=> setShowPalette(true)} title={hint("Command palette", "palette")} aria-label="Command palette">🔎</button>
+            <button className="btn" onClick={()=> setShowShortcuts(true)} title={hint("Keyboard shortcuts", "shortcuts")} aria-label="Keyboard shortcuts">⌨️</button>
             <input ref={fileInputRef} type="file" accept="application/json" style={{display:'none'}} onChange={(e)=>{ const f=e.target.files?.[0]; if(f) onImport(f); e.currentTarget.value=""; }} />
           </div>
         </div>
       </div>
 
       <div className="container">
-        {videos.length ? (
+        {storage.error && <div className="banner error" role="alert">⚠️ {storage.error}</div>}
+        {!loaded ? (
+          <div className="empty">Loading…</div>
+        ) : view === 'trash' ? (
+          <TrashView items={wsItems} trashDays={trashDays} onTrashDaysChange={setTrashDays} onRestore={restoreItem} onPurge={purgeItem} onEmpty={emptyTrash} />
+        ) : view === 'board' ? (
+          <BoardView items={live} workflows={workflows} onMove={(item, status)=> upsertItem({ ...item, status })} onEdit={setEditingItem} />
+        ) : view === 'calendar' ? (
+          <CalendarView videos={live.filter(i => i.type === 'video')} gapDays={gapDays} onGapDaysChange={setGapDays} onReschedule={(video, field, date)=> upsertItem({ ...video, [field]: date })} onEdit={setEditingItem} onExport={exportCalendar} />
+        ) : view === 'dashboard' ? (
+          <DashboardView items={live} workflows={workflows} wpm={wpm} onOpenVideo={jumpToVideo} />
+        ) : view === 'thumbnail' && active ? (
+          <ThumbnailComposer thumbnail={active} video={live.find(i => i.id === active.parentId)} onSave={saveDraft} onClose={closeEditor} notify={showToast} onDirtyChange={setEditorDirty} />
+        ) : view === 'headlines' && active ? (
+          <HeadlineView
+            video={active}
+            headlines={childrenOf(active.id).filter(k => k.type === 'headline')}
+            thumbnails={childrenOf(active.id).filter(k => k.type === 'thumbnail')}
+            onUpdate={upsertItem}
+            onChoose={(id)=> chooseHeadline(active, id)}
+            onAdd={()=> createChild(active.id, 'headline')}
+            onRemove={removeItem}
+            onClose={backToList}
+          />
+        ) : view === 'script' && active ? (
+          <ScriptView script={active} video={live.find(i => i.id === active.parentId)} wpm={wpm} onWpmChange={setWpm} onSave={saveDraft} onHistory={()=> setHistoryId(active.id)} onClose={closeEditor} onDirtyChange={setEditorDirty} />
+        ) : query.trim() ? (
+          <SearchView query={query} onQueryChange={setQuery} items={live} workflows={workflows} onOpen={openSearchHit} />
+        ) : videos.length ? (
           <div className="grid">
             {videos.map(v => {
               const kids = childrenOf(v.id);
@@ -165,33 +895,49 @@ export default function YouTubeContentStudio(){
               const heads = kids.filter(k=>k.type==='headline');
               const isCollapsed = collapsed[v.id];
 
-              const Section = ({label, data, type}) => {
+              // A render function rather than a component, so the rows aren't
+              // remounted (and don't lose focus) on every render.
+              const section = (label, data, type) => {
                 const subId = `${v.id}:${label}`;
                 const subIsCollapsed = subCollapsed[subId] ?? false; // default open
                 return (
                   <div>
                     <div className="sectionHead" onClick={()=> setSubCollapsed(prev=>({ ...prev, [subId]: !subIsCollapsed }))}>
-                      <span style={{display:'flex',alignItems:'center',gap:8}}>{subIsCollapsed ? '▸' : '▾'} {label} <span className="pill">{data.length}</span></span>
+                      <button type="button" className="disclosure" aria-expanded={!subIsCollapsed} aria-controls={`rows-${subId}`}>{subIsCollapsed ? '▸' : '▾'} {label} <span className="pill">{data.length}</span></button>
                       <span style={{display:'flex',alignItems:'center',gap:8}}>
                         {type==='script' && (
                           <button className="btn" onClick={(e)=>{ e.stopPropagation(); createChild(v.id,'script'); }}>➕ New</button>
                         )}
                         {type==='thumbnail' && (
-                          <button className="btn" onClick={(e)=>{ e.stopPropagation(); createChild(v.id,'thumbnail'); }}>➕ Add</button>
+                          <>
+                            {data.length > 0 && <button className="btn" onClick={(e)=>{ e.stopPropagation(); setComparingId(v.id); }}>🆚 Compare</button>}
+                            <button className="btn" onClick={(e)=>{ e.stopPropagation(); createChild(v.id,'thumbnail'); }}>➕ Add</button>
+                          </>
                         )}
                         {type==='headline' && (
-                          <button className="btn" onClick={(e)=>{ e.stopPropagation(); createChild(v.id,'headline'); }}>➕ Add</button>
+                          <>
+                            <button className="btn" onClick={(e)=>{ e.stopPropagation(); openHeadlines(v.id); }}>🧪 Workbench</button>
+                            <button className="btn" onClick={(e)=>{ e.stopPropagation(); createChild(v.id,'headline'); }}>➕ Add</button>
+                          </>
                         )}
                       </span>
                     </div>
                     {!subIsCollapsed && (
-                      <div className="rows">
+                      <div className="rows" id={`rows-${subId}`}>
                         {data.length ? data.map(item => (
                           <div key={item.id} className="row">
-                            <div>{item.type==='script'?'📝':item.type==='thumbnail'?'🖼️':'💬'} {item.title || 'Untitled'}</div>
+                            <div style={{display:'flex',alignItems:'center',gap:8}}>
+                              {item.type==='thumbnail'
+                                ? <BlobImage id={item.renderId || item.imageId} className="row-thumb" fallback="🖼️" />
+                                : item.type==='script' ? '📝' : '💬'} {item.type==='headline' ? headlineText(item) || 'Untitled' : item.title || 'Untitled'}
+                              {item.type==='headline' && v.chosenHeadlineId === item.id && <span className="pill" title="Chosen title">⭐ chosen</span>}
+                            </div>
                             <div className="meta">
-                              <span className="pill">{item.status}</span>
+                              <StatusPill workflows={workflows} item={item} />
+                              {item.type==='script' && <button className="btn" onClick={()=> openItem(item)}>📖 Open</button>}
+                              {item.type==='thumbnail' && <button className="btn" onClick={()=> openItem(item)}>🎨 Compose</button>}
                               <button className="btn" onClick={()=> setEditingItem(item)}>✏️ Edit</button>
+                              <button className="btn" onClick={()=> setHistoryId(item.id)} title="History">🕘</button>
                               <button className="btn" onClick={()=> removeItem(item.id)}>🗑️ Delete</button>
                             </div>
                           </div>
@@ -203,81 +949,286 @@ export default function YouTubeContentStudio(){
               };
 
               return (
-                <div key={v.id} className="card">
+                <article key={v.id} className="card" aria-labelledby={`video-${v.id}`}>
                   <div className="card-h" onClick={()=> setCollapsed(prev=> ({...prev, [v.id]: !isCollapsed}))}>
-                    <div style={{fontWeight:700}}>🎬 {v.title || 'Untitled Video'}</div>
+                    <button type="button" id={`video-${v.id}`} className="disclosure" style={{fontWeight:700}} aria-expanded={!isCollapsed} aria-controls={`content-${v.id}`}>🎬 {v.title || 'Untitled Video'}</button>
                     <div className="meta">
+                      <StatusPill workflows={workflows} item={v} />
                       <span className="pill">{scripts.length} Scripts</span>
                       <span className="pill">{thumbs.length} Thumbs</span>
                       <span className="pill">{heads.length} Headlines</span>
-                      <span>{isCollapsed ? '▸' : '▾'}</span>
+                      <span aria-hidden="true">{isCollapsed ? '▸' : '▾'}</span>
                     </div>
                   </div>
 
                   {!isCollapsed && (
-                    <div className="card-content">
+                    <div className="card-content" id={`content-${v.id}`}>
                       <div className="meta" style={{marginBottom:10}}>
                         <button className="btn" onClick={()=> setEditingItem(v)}>✏️ Edit</button>
+                        <button className="btn" onClick={()=> setHistoryId(v.id)}>🕘 History</button>
+                        <button className="btn" onClick={()=> saveAsTemplate(v)}>📑 Save as template</button>
+                        <button className="btn" onClick={()=> setMovingId(v.id)}>📦 Move / copy</button>
                         <button className="btn" onClick={()=> removeItem(v.id)}>🗑️ Delete</button>
                       </div>
-                      <Section label="Scripts" data={scripts} type="script" />
-                      <Section label="Thumbnails" data={thumbs} type="thumbnail" />
-                      <Section label="Headlines" data={heads} type="headline" />
+                      {section("Scripts", scripts, "script")}
+                      {section("Thumbnails", thumbs, "thumbnail")}
+                      {section("Headlines", heads, "headline")}
                       <div className="footer">
                         <span>Updated {fmt(v.updatedAt || v.createdAt)}</span>
                         <span>ID: {v.id.slice(-6)}</span>
                       </div>
                     </div>
                   )}
-                </div>
+                </article>
               );
             })}
           </div>
         ) : (
-          <div style={{border:'1px dashed var(--stroke2)',padding:24,borderRadius:12,color:'var(--muted)',textAlign:'center'}}>No videos yet. Click <b>➕ New Video</b> to start a project.</div>
+          <div className="empty">No videos yet. Click <b>➕ New Video</b> to start a project.</div>
         )}
       </div>
 
-      {toast && <div className="toast">{toast}</div>}
-
-       {editingItem && (
-        <div className="modal" onClick={(e)=>{ if(e.target===e.currentTarget) setEditingItem(null); }}>
-          <div className="modal-card">
-            <div className="modal-h">Edit {editingItem.type}</div>
-            <div className="modal-b">
-              <div className="field"><input type="text" value={editingItem.title} onChange={(e)=> setEditingItem({...editingItem, title: e.target.value})} placeholder="Title" /></div>
-              <div className="field">
-                <select value={editingItem.status} onChange={(e)=> setEditingItem({...editingItem, status: e.target.value})}>
-                  <option value="idea">idea</option>
-                  <option value="draft">draft</option>
-                  <option value="final">final</option>
-                </select>
+      {toast && <div className="toast" role="status">{toast}</div>}
+
+      {historyId && live.some(i => i.id === historyId) && (
+        <HistoryPanel
+          item={live.find(i => i.id === historyId)}
+          onRestore={(version)=> { if (upsertItem(restoreRevision(live.find(i => i.id === historyId), version))) showToast("Revision restored"); setHistoryId(null); }}
+          onClose={()=> setHistoryId(null)}
+          notify={showToast}
+        />
+      )}
+
+      {comparingId && live.some(i => i.id === comparingId) && (
+        <ThumbnailCompare
+          video={live.find(i => i.id === comparingId)}
+          thumbnails={childrenOf(comparingId).filter(k => k.type === 'thumbnail')}
+          title={displayTitle(live.find(i => i.id === comparingId), childrenOf(comparingId).filter(k => k.type === 'headline'))}
+          onOpen={(t)=> { setComparingId(null); openItem(t); }}
+          onClose={()=> setComparingId(null)}
+        />
+      )}
+
+      {showTemplates && (
+        <TemplateLibrary
+          templates={wsTemplates}
+          onUse={createFromTemplate}
+          onRename={(t, name)=> storeTemplates([{ ...t, name }])}
+          onDelete={removeTemplate}
+          onExport={exportTemplates}
+          onImport={importTemplates}
+          onClose={()=> setShowTemplates(false)}
+        />
+      )}
+
+      {managingWorkspaces && (
+        <WorkspaceManager
+          workspaces={workspaces}
+          currentId={ws}
+          videoCounts={items.reduce((m, i) => i.type === 'video' && isLive(i) ? m.set(workspaceOf(i), (m.get(workspaceOf(i)) || 0) + 1) : m, new Map())}
+          onSwitch={(id)=> { switchWorkspace(id); setManagingWorkspaces(false); }}
+          onCreate={(name)=> { createWorkspace(name); setManagingWorkspaces(false); }}
+          onRename={(w, name)=> storeWorkspaces([{ ...w, name }])}
+          onDelete={removeWorkspace}
+          onExport={exportWorkspace}
+          onExportAll={exportAllWorkspaces}
+          onClose={()=> setManagingWorkspaces(false)}
+        />
+      )}
+
+      {movingId && live.some(i => i.id === movingId) && (
+        <MoveVideoDialog
+          video={live.find(i => i.id === movingId)}
+          workspaces={workspaces}
+          currentId={ws}
+          onMove={(target)=> moveToWorkspace(movingId, target, false)}
+          onCopy={(target)=> moveToWorkspace(movingId, target, true)}
+          onClose={()=> setMovingId(null)}
+        />
+      )}
+
+      {showSync && (
+        <SyncSettings
+          config={syncConfig}
+          status={syncStatus}
+          syncing={syncing}
+          workspaces={workspaces}
+          onSave={(next)=> { setSyncConfig(next); setSyncStatus(null); showToast(next.url ? "Sync settings saved" : "Sync turned off"); }}
+          onSyncNow={syncNow}
+          onJoin={joinWorkspace}
+          onClose={()=> setShowSync(false)}
+        />
+      )}
+
+      {conflict && (
+        <ConflictDialog
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          canRestore={!conflict.mine.parentId || live.some(i => i.id === conflict.mine.parentId)}
+          onKeepMine={()=> resolveConflict(true)}
+          onKeepTheirs={()=> resolveConflict(false)}
+        />
+      )}
+
+      {showPalette && loaded && <CommandPalette commands={paletteCommands()} onClose={()=> setShowPalette(false)} />}
+
+      {showShortcuts && (
+        <ShortcutSettings overrides={shortcutOverrides} onSave={(next)=> { setShortcutOverrides(next); setShowShortcuts(false); showToast("Shortcuts saved"); }} onClose={()=> setShowShortcuts(false)} />
+      )}
+
+      {editingWorkflows && (
+        <WorkflowSettings workflows={workflows} items={live} onSave={(next)=> { setWorkflows(next); setEditingWorkflows(false); showToast("Workflows saved"); }} onClose={()=> setEditingWorkflows(false)} />
+      )}
+
+      {pendingImport && (
+        <ImportDialog
+          fileName={pendingImport.fileName}
+          data={pendingImport.data}
+          items={pendingImport.workspaces ? items : wsItems}
+          taken={pendingImport.workspaces ? undefined : otherIds}
+          scope={pendingImport.workspaces ? 'all channels' : 'channel'}
+          permanent={!!pendingImport.workspaces}
+          onConfirm={confirmImport}
+          onCancel={()=> setPendingImport(null)}
+        />
+      )}
+
+      {editingItem && (
+        <Dialog title={`Edit ${editingItem.type}`} onClose={()=> setEditingItem(null)} onSubmit={saveEdit}>
+          <div className="modal-b">
+            <div className="field"><input type="text" value={editingItem.title} onChange={(e)=> setEditingItem({...editingItem, title: e.target.value})} placeholder="Title" /></div>
+            <div className="field">
+              <select value={editingItem.status} onChange={(e)=> setEditingItem({...editingItem, status: e.target.value})}>
+                {statusesFor(workflows, editingItem.type).map(s => <option key={s.id} value={s.id}>{s.label}</option>)}
+                {statusInfo(workflows, editingItem.type, editingItem.status).unknown && <option value={editingItem.status}>{editingItem.status} (not in workflow)</option>}
+              </select>
+            </div>
+            {editingItem.type === 'video' && (
+              <div className="date-fields">
+                {DATE_FIELDS.map(f => (
+                  <div key={f.key} className="field">
+                    <label>{f.icon} {f.label}</label>
+                    <input type="date" value={editingItem[f.key] || ''} onChange={(e)=> setEditingItem({...editingItem, [f.key]: e.target.value || undefined})} />
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="field"><input type="text" value={(editingItem.tags||[]).join(", ")} onChange={(e)=> setEditingItem({...editingItem, tags: e.target.value.split(",").map(s=>s.trim()).filter(Boolean)})} placeholder="tags, comma, separated" /></div>
+            <div className="field"><textarea rows={6} value={editingItem.content} onChange={(e)=> setEditingItem({...editingItem, content: e.target.value})} placeholder={editingItem.type==='headline' ? 'Headline text' : 'Notes / Script content'} /></div>
+
+            {editingItem.type === 'script' && (
+            <div>
+              {/* Hook Section */}
+              <div className="collapsible">
+                <div
+                  className="collapsible-header"
+                  onClick={() =>
+                    setEditingItem({ ...editingItem, hookCollapsed: !editingItem.hookCollapsed })
+                  }
+                >
+                  <button type="button" className="disclosure" aria-expanded={!editingItem.hookCollapsed}>{editingItem.hookCollapsed ? '▸' : '▾'} Hook</button>
+                </div>
+                {!editingItem.hookCollapsed && (
+                  <div className="grid-2 gap">
+                    <div className="field">
+                      <label>Planning</label>
+                      <textarea
+                        className="textarea"
+                        rows={4}
+                        value={editingItem.hookPlanning || ''}
+                        onChange={(e) =>
+                          setEditingItem({ ...editingItem, hookPlanning: e.target.value })
+                        }
+                      />
+                    </div>
+                    <div className="field">
+                      <label>Content</label>
+                      <textarea
+                        className="textarea"
+                        rows={4}
+                        value={editingItem.hookContent || ''}
+                        onChange={(e) =>
+                          setEditingItem({ ...editingItem, hookContent: e.target.value })
+                        }
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Sections Controller */}
+              <div className="collapsible" style={{ marginTop: 8 }}>
+                <div className="collapsible-header" style={{ cursor: 'default' }}>
+                  <span>Sections</span>
+                  <button
+                    className="btn"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setEditingItem((prev) => {
+                        const list = Array.isArray(prev.sections) ? prev.sections : [];
+                        const nextIndex = list.length + 1;
+                        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
+                        const newSec = {
+                          id,
+                          name: `Section ${nextIndex}`,
+                          collapsed: false,
+                          planning: '',
+                          content: '',
+                        };
+                        return { ...prev, sections: [...list, newSec] };
+                      });
+                    }}
+                  >
+                    ➕ Add Section
+                  </button>
+                </div>
               </div>
-              <div className="field"><input type="text" value={(editingItem.tags||[]).join(", ")} onChange={(e)=> setEditingItem({...editingItem, tags: e.target.value.split(",").map(s=>s.trim()).filter(Boolean)})} placeholder="tags, comma, separated" /></div>
-              <div className="field"><textarea rows={6} value={editingItem.content} onChange={(e)=> setEditingItem({...editingItem, content: e.target.value})} placeholder={editingItem.type==='headline' ? 'Headline text' : 'Notes / Script content'} /></div>
 
-              {editingItem.type === 'script' && (
-              <div>
-                {/* Hook Section */}
-                <div className="collapsible">
+              {/* Render Sections */}
+              {(editingItem.sections || []).map((sec, i) => (
+                <div key={sec.id || i} className="collapsible">
                   <div
                     className="collapsible-header"
                     onClick={() =>
-                      setEditingItem({ ...editingItem, hookCollapsed: !editingItem.hookCollapsed })
+                      setEditingItem((prev) => {
+                        const list = [...(prev.sections || [])];
+                        list[i] = { ...list[i], collapsed: !list[i]?.collapsed };
+                        return { ...prev, sections: list };
+                      })
                     }
                   >
-                    <span>{editingItem.hookCollapsed ? '▸' : '▾'} Hook</span>
+                    <button type="button" className="disclosure" aria-expanded={!sec.collapsed}>{sec.collapsed ? '▸' : '▾'} {sec.name || `Section ${i + 1}`}</button>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <button
+                        className="btn"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setEditingItem((prev) => {
+                            const list = [...(prev.sections || [])];
+                            list.splice(i, 1);
+                            return { ...prev, sections: list };
+                          });
+                        }}
+                      >
+                        🗑️ Remove
+                      </button>
+                    </div>
                   </div>
-                  {!editingItem.hookCollapsed && (
+
+                  {!sec.collapsed && (
                     <div className="grid-2 gap">
                       <div className="field">
                         <label>Planning</label>
                         <textarea
                           className="textarea"
                           rows={4}
-                          value={editingItem.hookPlanning || ''}
+                          value={sec.planning || ''}
                           onChange={(e) =>
-                            setEditingItem({ ...editingItem, hookPlanning: e.target.value })
+                            setEditingItem((prev) => {
+                              const list = [...(prev.sections || [])];
+                              list[i] = { ...list[i], planning: e.target.value };
+                              return { ...prev, sections: list };
+                            })
                           }
                         />
                       </div>
@@ -286,122 +1237,30 @@ export default function YouTubeContentStudio(){
                         <textarea
                           className="textarea"
                           rows={4}
-                          value={editingItem.hookContent || ''}
+                          value={sec.content || ''}
                           onChange={(e) =>
-                            setEditingItem({ ...editingItem, hookContent: e.target.value })
+                            setEditingItem((prev) => {
+                              const list = [...(prev.sections || [])];
+                              list[i] = { ...list[i], content: e.target.value };
+                              return { ...prev, sections: list };
+                            })
                           }
                         />
                       </div>
                     </div>
                   )}
                 </div>
-
-                {/* Sections Controller */}
-                <div className="collapsible" style={{ marginTop: 8 }}>
-                  <div className="collapsible-header" style={{ cursor: 'default' }}>
-                    <span>Sections</span>
-                    <button
-                      className="btn"
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        setEditingItem((prev) => {
-                          const list = Array.isArray(prev.sections) ? prev.sections : [];
-                          const nextIndex = list.length + 1;
-                          const id = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
-                          const newSec = {
-                            id,
-                            name: `Section ${nextIndex}`,
-                            collapsed: false,
-                            planning: '',
-                            content: '',
-                          };
-                          return { ...prev, sections: [...list, newSec] };
-                        });
-                      }}
-                    >
-                      ➕ Add Section
-                    </button>
-                  </div>
-                </div>
-
-                {/* Render Sections */}
-                {(editingItem.sections || []).map((sec, i) => (
-                  <div key={sec.id || i} className="collapsible">
-                    <div
-                      className="collapsible-header"
-                      onClick={() =>
-                        setEditingItem((prev) => {
-                          const list = [...(prev.sections || [])];
-                          list[i] = { ...list[i], collapsed: !list[i]?.collapsed };
-                          return { ...prev, sections: list };
-                        })
-                      }
-                    >
-                      <span>{sec.collapsed ? '▸' : '▾'} {sec.name || `Section ${i + 1}`}</span>
-                      <div style={{ display: 'flex', gap: 8 }}>
-                        <button
-                          className="btn"
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            setEditingItem((prev) => {
-                              const list = [...(prev.sections || [])];
-                              list.splice(i, 1);
-                              return { ...prev, sections: list };
-                            });
-                          }}
-                        >
-                          🗑️ Remove
-                        </button>
-                      </div>
-                    </div>
-
-                    {!sec.collapsed && (
-                      <div className="grid-2 gap">
-                        <div className="field">
-                          <label>Planning</label>
-                          <textarea
-                            className="textarea"
-                            rows={4}
-                            value={sec.planning || ''}
-                            onChange={(e) =>
-                              setEditingItem((prev) => {
-                                const list = [...(prev.sections || [])];
-                                list[i] = { ...list[i], planning: e.target.value };
-                                return { ...prev, sections: list };
-                              })
-                            }
-                          />
-                        </div>
-                        <div className="field">
-                          <label>Content</label>
-                          <textarea
-                            className="textarea"
-                            rows={4}
-                            value={sec.content || ''}
-                            onChange={(e) =>
-                              setEditingItem((prev) => {
-                                const list = [...(prev.sections || [])];
-                                list[i] = { ...list[i], content: e.target.value };
-                                return { ...prev, sections: list };
-                              })
-                            }
-                          />
-                        </div>
-                      </div>
-                    )}
-                  </div>
-                ))}
-              </div>
-            )}
+              ))}
+            </div>
+          )}
 
 
-            </div>
-            <div className="modal-b" style={{display:'flex',justifyContent:'flex-end',gap:8}}>
-              <button className="btn" onClick={()=> setEditingItem(null)}>Cancel</button>
-              <button className="btn primary" onClick={saveEdit}>Save</button>
-            </div>
           </div>
-        </div>
+          <div className="modal-b" style={{display:'flex',justifyContent:'flex-end',gap:8}}>
+            <button className="btn" onClick={()=> setEditingItem(null)}>Cancel</button>
+            <button className="btn primary" onClick={saveEdit}>Save</button>
+          </div>
+        </Dialog>
       )}
     </div>
   );
@@ -0,0 +1,22 @@
+import React, { useEffect, useState } from "react";
+import { getBlob } from "./db.js";
+
+// Object URL for a blob stored in IndexedDB; revoked when the id changes or on unmount.
+export function useBlobUrl(id) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!id) { setUrl(null); return; }
+    let cancelled = false, objectUrl = null;
+    getBlob(id).then(
+      (blob) => { if (cancelled || !blob) return; objectUrl = URL.createObjectURL(blob); setUrl(objectUrl); },
+      (err) => console.error(err),
+    );
+    return () => { cancelled = true; if (objectUrl) URL.revokeObjectURL(objectUrl); setUrl(null); };
+  }, [id]);
+  return url;
+}
+
+export default function BlobImage({ id, alt = "", className, fallback = null }) {
+  const url = useBlobUrl(id);
+  return url ? <img src={url} alt={alt} className={className} /> : fallback;
+}
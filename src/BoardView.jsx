@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import StatusPill from "./StatusPill.jsx";
+import { statusesFor } from "./workflow.js";
+
+const TYPES = [
+  { type: 'video', label: '🎬 Videos' },
+  { type: 'script', label: '📝 Scripts' },
+  { type: 'thumbnail', label: '🖼️ Thumbnails' },
+  { type: 'headline', label: '💬 Headlines' },
+];
+const ICONS = { script: '📝', thumbnail: '🖼️', headline: '💬' };
+
+// Kanban board: one column per workflow status of the chosen item type.
+// Items whose status isn't in the workflow collect in an "Other" column.
+export default function BoardView({ items, workflows, onMove, onEdit }) {
+  const [type, setType] = useState("video");
+  const [dragId, setDragId] = useState(null);
+  const [overCol, setOverCol] = useState(null);
+
+  const statuses = statusesFor(workflows, type);
+  const known = new Set(statuses.map(s => s.id));
+  const cards = items.filter(i => i.type === type);
+  const videosById = new Map(items.filter(i => i.type === 'video').map(v => [v.id, v]));
+  const columns = statuses.map(s => ({ ...s, cards: cards.filter(c => c.status === s.id) }));
+  const other = cards.filter(c => !known.has(c.status));
+  if (other.length) columns.push({ id: null, label: 'Other', color: '#6b7280', cards: other });
+
+  const drop = (status) => {
+    const item = cards.find(c => c.id === dragId);
+    if (item && status && item.status !== status) onMove(item, status);
+    setDragId(null); setOverCol(null);
+  };
+
+  return (
+    <div>
+      <div className="meta" style={{justifyContent:'flex-start',marginBottom:12}}>
+        {TYPES.map(t => (
+          <button key={t.type} className={`btn${t.type===type ? ' primary' : ''}`} onClick={()=> setType(t.type)}>{t.label}</button>
+        ))}
+      </div>
+      <div className="board">
+        {columns.map(col => (
+          <div
+            key={col.id ?? 'other'}
+            className={`board-col${overCol === col.id && col.id ? ' over' : ''}`}
+            onDragOver={(e)=> { if (dragId && col.id) { e.preventDefault(); setOverCol(col.id); } }}
+            onDragLeave={()=> setOverCol(c => c === col.id ? null : c)}
+            onDrop={(e)=> { e.preventDefault(); drop(col.id); }}
+          >
+            <div className="board-col-h" style={{'--status':col.color}}>
+              <span>{col.label}</span><span className="pill">{col.cards.length}</span>
+            </div>
+            {col.cards.map(card => {
+              const parent = card.parentId ? videosById.get(card.parentId) : null;
+              const kids = card.type === 'video' ? items.filter(i => i.parentId === card.id) : [];
+              return (
+                <div
+                  key={card.id}
+                  className={`board-card${dragId === card.id ? ' dragging' : ''}`}
+                  draggable
+                  onDragStart={(e)=> { setDragId(card.id); e.dataTransfer.effectAllowed = 'move'; }}
+                  onDragEnd={()=> { setDragId(null); setOverCol(null); }}
+                  onDoubleClick={()=> onEdit(card)}
+                >
+                  <div style={{fontWeight:600}}>{card.title || card.content || 'Untitled'}</div>
+                  {parent && <div className="muted">🎬 {parent.title || 'Untitled Video'}</div>}
+                  {kids.length > 0 && (
+                    <div className="meta" style={{justifyContent:'flex-start',marginTop:6}}>
+                      {kids.map(k => <span key={k.id} title={k.title || k.content}>{ICONS[k.type]} <StatusPill workflows={workflows} item={k} /></span>)}
+                    </div>
+                  )}
+                  <div className="meta" style={{marginTop:6}}>
+                    <button className="btn" onClick={()=> onEdit(card)}>✏️ Edit</button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
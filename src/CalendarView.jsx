@@ -0,0 +1,99 @@
+import React, { useMemo, useState } from "react";
+import { DATE_FIELDS, addDays, eventsByDay, inGap, isOverdue, monthGrid, publishingGaps, toDateKey, todayKey, weekOf } from "./calendar.js";
+
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const PLANNED = DATE_FIELDS.find(f => f.key === 'plannedPublishDate');
+
+// One dated field of one video; click edits the video, drag reschedules that field.
+function Chip({ video, field, today, onDragStart, onDragEnd, onEdit }) {
+  return (
+    <div
+      className={`cal-chip${field.key === 'plannedPublishDate' && isOverdue(video, today) ? ' overdue' : ''}`}
+      draggable
+      onDragStart={(e)=> { onDragStart({ videoId: video.id, field: field.key }); e.dataTransfer.effectAllowed = 'move'; }}
+      onDragEnd={onDragEnd}
+      onClick={()=> onEdit(video)}
+      title={`${field.label}: ${video.title || 'Untitled Video'}`}
+    >
+      {field.icon} {video.title || 'Untitled Video'}
+    </div>
+  );
+}
+
+// Month/week calendar of film and publish dates. Chips drag between days to
+// reschedule; unscheduled videos can be dropped in to get a planned date.
+export default function CalendarView({ videos, gapDays, onGapDaysChange, onReschedule, onEdit, onExport }) {
+  const [mode, setMode] = useState("month"); // "month" | "week"
+  const [cursor, setCursor] = useState(() => new Date());
+  const [drag, setDrag] = useState(null); // { videoId, field }
+  const [overDay, setOverDay] = useState(null);
+
+  const today = todayKey();
+  const events = useMemo(() => eventsByDay(videos), [videos]);
+  const gaps = useMemo(() => publishingGaps(videos, gapDays, today), [videos, gapDays, today]);
+  const weeks = mode === 'month' ? monthGrid(cursor) : [weekOf(cursor)];
+  const unscheduled = videos.filter(v => !v.plannedPublishDate && !v.publishedDate);
+  const overdue = videos.filter(v => isOverdue(v, today));
+
+  const shift = (n) => setCursor(c => mode === 'month' ? new Date(c.getFullYear(), c.getMonth() + n, 1) : addDays(c, 7 * n));
+  const title = mode === 'month'
+    ? cursor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `${weeks[0][0].toLocaleDateString()} – ${weeks[0][6].toLocaleDateString()}`;
+
+  const drop = (key) => {
+    const video = drag && videos.find(v => v.id === drag.videoId);
+    if (video && video[drag.field] !== key) onReschedule(video, drag.field, key);
+    setDrag(null); setOverDay(null);
+  };
+  const chipProps = { today, onDragStart: setDrag, onDragEnd: () => { setDrag(null); setOverDay(null); }, onEdit };
+
+  return (
+    <div className="grid">
+      <div className="meta" style={{justifyContent:'space-between'}}>
+        <span style={{display:'flex',gap:8,alignItems:'center'}}>
+          <button className="btn" onClick={()=> shift(-1)}>‹</button>
+          <button className="btn" onClick={()=> setCursor(new Date())}>Today</button>
+          <button className="btn" onClick={()=> shift(1)}>›</button>
+          <b style={{color:'var(--text)'}}>{title}</b>
+        </span>
+        <span style={{display:'flex',gap:8,alignItems:'center',flexWrap:'wrap'}}>
+          <label>Flag gaps over <input className="input" style={{minWidth:0,width:60,padding:'4px 8px'}} type="number" min={1} value={gapDays} onChange={(e)=> onGapDaysChange(Math.max(1, Number(e.target.value) || 1))} /> days</label>
+          <button className={`btn${mode==='month' ? ' primary' : ''}`} onClick={()=> setMode('month')}>Month</button>
+          <button className={`btn${mode==='week' ? ' primary' : ''}`} onClick={()=> setMode('week')}>Week</button>
+          <button className="btn" onClick={onExport}>📆 Export .ics</button>
+        </span>
+      </div>
+
+      {overdue.length > 0 && (
+        <div className="banner error">⏰ Overdue: {overdue.map(v => v.title || 'Untitled Video').join(', ')}</div>
+      )}
+
+      <div className={`cal cal-${mode}`}>
+        {WEEKDAYS.map(d => <div key={d} className="cal-head">{d}</div>)}
+        {weeks.flat().map(day => {
+          const key = toDateKey(day);
+          const outside = mode === 'month' && day.getMonth() !== cursor.getMonth();
+          const cls = ['cal-day', outside && 'outside', key === today && 'today', inGap(gaps, key) && 'gap', overDay === key && 'over'].filter(Boolean).join(' ');
+          return (
+            <div
+              key={key}
+              className={cls}
+              onDragOver={(e)=> { if (drag) { e.preventDefault(); setOverDay(key); } }}
+              onDrop={(e)=> { e.preventDefault(); drop(key); }}
+            >
+              <div className="cal-date">{day.getDate()}</div>
+              {(events.get(key) || []).map(ev => <Chip key={`${ev.video.id}-${ev.field.key}`} {...ev} {...chipProps} />)}
+            </div>
+          );
+        })}
+      </div>
+
+      <div>
+        <div className="muted" style={{marginBottom:6}}>Unscheduled – drag onto a day to plan its publish date</div>
+        <div className="meta" style={{justifyContent:'flex-start'}}>
+          {unscheduled.length ? unscheduled.map(v => <Chip key={v.id} video={v} field={PLANNED} {...chipProps} />) : <span>Everything has a date.</span>}
+        </div>
+      </div>
+    </div>
+  );
+}
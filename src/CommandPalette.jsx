@@ -0,0 +1,108 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { useDialog } from "./Dialog.jsx";
+import { formatCombo } from "./shortcuts.js";
+
+const MAX_RESULTS = 50;
+
+// Subsequence match: every query character appears in order. Earlier and
+// consecutive hits score higher; null means no match.
+function score(text, query) {
+  if (!query) return 0;
+  const t = text.toLowerCase();
+  let at = -1, total = 0, run = 0;
+  for (const ch of query.toLowerCase()) {
+    if (ch === " ") continue;
+    const next = t.indexOf(ch, at + 1);
+    if (next < 0) return null;
+    run = next === at + 1 ? run + 1 : 0;
+    total += 1 + run * 2 - next * 0.01;
+    at = next;
+  }
+  return total;
+}
+
+/**
+ * Ctrl/⌘+K palette. A command is { id, label, group, combos?, run } or, for a
+ * second step, { id, label, group, placeholder, children: () => commands }.
+ * Running a command closes the palette unless it opened a step.
+ */
+export default function CommandPalette({ commands, onClose }) {
+  const [pages, setPages] = useState([]); // stack of commands whose children are shown
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const listRef = useRef(null);
+  const page = pages[pages.length - 1];
+  const { titleId, props } = useDialog({ onClose: () => pages.length ? back() : onClose() });
+
+  const source = useMemo(() => page ? page.children() : commands, [page, commands]);
+  const results = useMemo(() => {
+    if (!query.trim()) return source.slice(0, MAX_RESULTS);
+    return source
+      .map(c => ({ c, s: score(`${c.group} ${c.label}`, query) }))
+      .filter(r => r.s != null)
+      .sort((a, b) => b.s - a.s)
+      .slice(0, MAX_RESULTS)
+      .map(r => r.c);
+  }, [source, query]);
+
+  useEffect(() => setActive(0), [query, page]);
+  useEffect(() => { listRef.current?.querySelector('[aria-selected="true"]')?.scrollIntoView({ block: "nearest" }); }, [active]);
+
+  function back() { setPages(p => p.slice(0, -1)); setQuery(""); }
+  const run = (cmd) => {
+    if (!cmd) return;
+    if (cmd.children) { setPages(p => [...p, cmd]); setQuery(""); return; }
+    onClose();
+    cmd.run();
+  };
+  const onKeyDown = (e) => {
+    if (e.key === "ArrowDown") { e.preventDefault(); setActive(i => Math.min(results.length - 1, i + 1)); }
+    else if (e.key === "ArrowUp") { e.preventDefault(); setActive(i => Math.max(0, i - 1)); }
+    else if (e.key === "Enter") { e.preventDefault(); run(results[active]); }
+    else if (e.key === "Backspace" && !query && pages.length) { e.preventDefault(); back(); }
+  };
+  const optionId = (i) => `${titleId}-opt-${i}`;
+
+  return (
+    <div className="modal palette-backdrop" onClick={(e)=>{ if(e.target===e.currentTarget) onClose(); }}>
+      <div className="modal-card palette" {...props}>
+        <h2 id={titleId} className="sr-only">Command palette</h2>
+        <div className="palette-input">
+          {page && <span className="pill">{page.label}</span>}
+          <input
+            className="input"
+            autoFocus
+            value={query}
+            onChange={(e)=> setQuery(e.target.value)}
+            onKeyDown={onKeyDown}
+            placeholder={page?.placeholder || "Type a command, video or item…"}
+            role="combobox"
+            aria-expanded="true"
+            aria-controls={`${titleId}-list`}
+            aria-activedescendant={results.length ? optionId(active) : undefined}
+            aria-autocomplete="list"
+          />
+        </div>
+        <div ref={listRef} id={`${titleId}-list`} role="listbox" aria-label="Commands" className="palette-list">
+          {results.map((c, i) => (
+            <div
+              key={c.id}
+              id={optionId(i)}
+              role="option"
+              aria-selected={i === active}
+              className={`palette-item${i === active ? ' active' : ''}`}
+              onMouseMove={()=> setActive(i)}
+              onClick={()=> run(c)}
+            >
+              <span className="muted palette-group">{c.group}</span>
+              <span style={{flex:1}}>{c.label}{c.children ? ' …' : ''}</span>
+              {c.combos?.length > 0 && <kbd>{formatCombo(c.combos[0])}</kbd>}
+            </div>
+          ))}
+          {!results.length && <div className="muted" style={{padding:12}}>No matches.</div>}
+        </div>
+        <div className="palette-foot muted">↑↓ to move · Enter to run · {pages.length ? 'Backspace to go back · ' : ''}Esc to close</div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,43 @@
+import React, { useMemo } from "react";
+import { diffItems } from "./diff.js";
+import { fmt } from "./util.js";
+import Dialog from "./Dialog.jsx";
+
+// Shown when a save started from an older copy than the one now stored –
+// usually because another tab saved the same item in the meantime. The diff
+// runs from the stored copy to the unsaved one.
+export default function ConflictDialog({ mine, theirs, canRestore, onKeepMine, onKeepTheirs }) {
+  const changed = useMemo(() => theirs ? diffItems(theirs, mine).filter(f => f.changed) : [], [theirs, mine]);
+  const name = mine.title || mine.content || 'Untitled';
+  return (
+    <Dialog title={<>⚠️ Conflicting edit – {name}</>} role="alertdialog" style={{width:'min(800px,95vw)'}}>
+      <div className="modal-b">
+        {!theirs ? (
+          <div>This {mine.type} was deleted for good elsewhere while you were editing it.</div>
+        ) : (
+          <>
+            <div>
+              This {mine.type} was {theirs.deletedAt ? 'moved to the Trash' : 'changed'} elsewhere (saved {fmt(theirs.updatedAt)}) while you were editing it.
+              Keep your version to overwrite it, or keep the stored one and drop your changes.
+            </div>
+            <div className="history-diff" style={{maxHeight:'50vh'}}>
+              {changed.length ? changed.map(f => (
+                <div key={f.key} className="diff-field">
+                  <div className="muted">{f.label}</div>
+                  <div className="diff">
+                    {f.parts.map((p, i) => p.op === 'eq' ? <span key={i}>{p.text}</span> : p.op === 'add' ? <ins key={i}>{p.text}</ins> : <del key={i}>{p.text}</del>)}
+                  </div>
+                </div>
+              )) : <div className="muted">The text is the same in both versions.</div>}
+            </div>
+            <div className="muted">Green is your text, red is the stored text it would replace.</div>
+          </>
+        )}
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'flex-end',gap:8}}>
+        <button className="btn" onClick={onKeepTheirs}>{theirs ? 'Keep stored version' : 'Discard my changes'}</button>
+        <button className="btn primary" disabled={!theirs && !canRestore} title={!theirs && !canRestore ? "Its video is gone too" : undefined} onClick={onKeepMine}>{theirs ? 'Keep my version' : 'Restore with my changes'}</button>
+      </div>
+    </Dialog>
+  );
+}
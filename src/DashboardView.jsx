@@ -0,0 +1,120 @@
+import React, { useMemo } from "react";
+import { fromDateKey, todayKey } from "./calendar.js";
+import { formatSpan, missingParts, publishingCadence, scriptTotals, statusCounts, timeInStatus } from "./dashboard.js";
+import { formatDuration } from "./script.js";
+
+const MISSING = [
+  { key: "script", label: "📝 No script" },
+  { key: "thumbnail", label: "🖼️ No thumbnail" },
+  { key: "headline", label: "💬 No chosen headline" },
+];
+const MISSING_SHOWN = 8;
+
+// Bars per week: solid for published, dashed for planned. Months are labelled
+// at their first week and the current week is marked.
+function CadenceChart({ buckets }) {
+  const BAR = 18, H = 120, TOP = 14, BOTTOM = 20;
+  const max = Math.max(1, ...buckets.map(b => b.published + b.planned));
+  const y = (n) => TOP + H - (n / max) * H;
+  const today = todayKey();
+  const current = buckets.findIndex((b, i) => b.from <= today && (!buckets[i + 1] || buckets[i + 1].from > today));
+  const width = buckets.length * BAR;
+  return (
+    <svg className="cadence" viewBox={`0 0 ${width} ${TOP + H + BOTTOM}`} role="img" aria-label="Videos published and planned per week">
+      <line className="axis" x1={0} x2={width} y1={y(0)} y2={y(0)} />
+      <line className="grid-line" x1={0} x2={width} y1={y(max)} y2={y(max)} />
+      <text className="label" x={2} y={y(max) - 3}>{max}</text>
+      {current >= 0 && <rect className="now" x={current * BAR} y={TOP} width={BAR} height={H} />}
+      {buckets.map((b, i) => {
+        const month = fromDateKey(b.from).getMonth();
+        const newMonth = i === 0 || fromDateKey(buckets[i - 1].from).getMonth() !== month;
+        return (
+          <g key={b.from}>
+            <title>{`Week of ${fromDateKey(b.from).toLocaleDateString()}: ${b.published} published${b.planned ? `, ${b.planned} planned` : ''}`}</title>
+            <rect x={i * BAR} y={TOP} width={BAR} height={H} fill="transparent" />
+            {b.published > 0 && <rect className="pub" x={i * BAR + 3} y={y(b.published)} width={BAR - 6} height={y(0) - y(b.published)} rx={2} />}
+            {b.planned > 0 && <rect className="plan" x={i * BAR + 3.5} y={y(b.published + b.planned)} width={BAR - 7} height={y(b.published) - y(b.published + b.planned)} rx={2} />}
+            {newMonth && <text className="label" x={i * BAR + 2} y={TOP + H + 14}>{fromDateKey(b.from).toLocaleDateString(undefined, { month: 'short' })}</text>}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Channel overview built from the channel's live items.
+export default function DashboardView({ items, workflows, wpm, onOpenVideo }) {
+  const videos = useMemo(() => items.filter(i => i.type === 'video'), [items]);
+  const counts = useMemo(() => statusCounts(videos, workflows), [videos, workflows]);
+  const times = useMemo(() => timeInStatus(videos, workflows), [videos, workflows]);
+  const missing = useMemo(() => missingParts(items), [items]);
+  const totals = useMemo(() => scriptTotals(items, wpm), [items, wpm]);
+  const cadence = useMemo(() => publishingCadence(videos), [videos]);
+  const most = Math.max(1, ...counts.map(c => c.count));
+
+  if (!videos.length) return <div className="empty">No videos yet – the dashboard fills in as you plan videos.</div>;
+
+  return (
+    <div className="dash">
+      <div className="dash-stats">
+        <div className="dash-stat"><b>{videos.length}</b><span className="muted">videos</span></div>
+        <div className="dash-stat"><b>{totals.words.toLocaleString()}</b><span className="muted">script words in {totals.scripts} script{totals.scripts === 1 ? '' : 's'}</span></div>
+        <div className="dash-stat"><b>{formatDuration(totals.seconds)}</b><span className="muted">estimated runtime at {wpm} wpm</span></div>
+        <div className="dash-stat"><b>{cadence.avgGapDays == null ? '–' : `${cadence.avgGapDays.toFixed(1)} days`}</b><span className="muted">average gap between publishes</span></div>
+      </div>
+
+      <section className="card" aria-labelledby="dash-status">
+        <h2 className="card-h dash-h" id="dash-status">Videos per status</h2>
+        <div className="card-content rows" style={{marginTop:0}}>
+          {counts.map(c => (
+            <div key={c.id ?? 'other'} className="dash-bar">
+              <span>{c.label}</span>
+              <div className="meter"><div className="meter-fill" style={{width:`${c.count / most * 100}%`,background:c.color}} /></div>
+              <b>{c.count}</b>
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="card" aria-labelledby="dash-time">
+        <h2 className="card-h dash-h" id="dash-time">Average time in each status</h2>
+        <div className="card-content rows" style={{marginTop:0}}>
+          {times.map(t => (
+            <div key={t.id} className="dash-bar">
+              <span>{t.label}</span>
+              <b>{t.avgMs == null ? '–' : formatSpan(t.avgMs)}</b>
+              <span className="muted">{t.stays} video{t.stays === 1 ? '' : 's'} moved on</span>
+            </div>
+          ))}
+          <div className="muted">Counted from status changes; a video still in a status isn't included until it moves on.</div>
+        </div>
+      </section>
+
+      <section className="card" aria-labelledby="dash-missing">
+        <h2 className="card-h dash-h" id="dash-missing">Missing pieces</h2>
+        <div className="card-content dash-missing">
+          {MISSING.map(m => (
+            <div key={m.key}>
+              <div style={{fontWeight:600}}>{m.label} <span className="pill">{missing[m.key].length}</span></div>
+              <ul>
+                {missing[m.key].slice(0, MISSING_SHOWN).map(v => (
+                  <li key={v.id}><button className="link" onClick={()=> onOpenVideo(v)}>{v.title || 'Untitled Video'}</button></li>
+                ))}
+              </ul>
+              {missing[m.key].length > MISSING_SHOWN && <div className="muted">…and {missing[m.key].length - MISSING_SHOWN} more</div>}
+              {!missing[m.key].length && <div className="muted">All set.</div>}
+            </div>
+          ))}
+        </div>
+      </section>
+
+      <section className="card" aria-labelledby="dash-cadence">
+        <h2 className="card-h dash-h" id="dash-cadence">Publishing cadence</h2>
+        <div className="card-content">
+          <CadenceChart buckets={cadence.buckets} />
+          <div className="muted">Per week, by publish date. Dashed bars are planned publishes; the shaded week is this one.</div>
+        </div>
+      </section>
+    </div>
+  );
+}
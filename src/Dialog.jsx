@@ -0,0 +1,56 @@
+import React, { useEffect, useId, useRef } from "react";
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Focus handling for a modal dialog. Spread `props` on the dialog card and put
+ * `titleId` on its heading.
+ * - focuses the first field (or the card) on open and gives focus back on close
+ * - keeps Tab / Shift+Tab inside the card
+ * - Esc calls `onClose`, Ctrl/⌘+Enter calls `onSubmit` (either may be omitted)
+ */
+export function useDialog({ onClose, onSubmit } = {}) {
+  const ref = useRef(null);
+  const titleId = useId();
+
+  useEffect(() => {
+    const card = ref.current;
+    if (!card) return;
+    const returnTo = document.activeElement;
+    (card.querySelector("[autofocus]") || card.querySelector("input, textarea, select") || card).focus();
+    return () => {
+      // Unless whatever closed the dialog moved focus somewhere on purpose.
+      const lost = !document.activeElement || document.activeElement === document.body || card.contains(document.activeElement);
+      if (lost && returnTo instanceof HTMLElement && returnTo.isConnected) returnTo.focus();
+    };
+  }, []);
+
+  // A React handler, so fields inside the dialog can handle keys first and stop them.
+  const onKeyDown = (e) => {
+    const card = ref.current;
+    if (e.key === "Escape" && onClose) { e.preventDefault(); e.stopPropagation(); onClose(); }
+    else if (e.key === "Enter" && (e.ctrlKey || e.metaKey) && onSubmit) { e.preventDefault(); e.stopPropagation(); onSubmit(); }
+    else if (e.key === "Tab" && card) {
+      const list = [...card.querySelectorAll(FOCUSABLE)].filter(el => el.offsetParent !== null);
+      if (!list.length) { e.preventDefault(); return; }
+      const first = list[0], last = list[list.length - 1];
+      if (e.shiftKey && (document.activeElement === first || document.activeElement === card)) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    }
+  };
+
+  return { titleId, props: { ref, role: "dialog", "aria-modal": "true", "aria-labelledby": titleId, tabIndex: -1, onKeyDown } };
+}
+
+// The standard modal: backdrop (click to close), card and title.
+export default function Dialog({ title, onClose, onSubmit, style, role, children }) {
+  const { titleId, props } = useDialog({ onClose, onSubmit });
+  return (
+    <div className="modal" onClick={(e)=>{ if(e.target===e.currentTarget && onClose) onClose(); }}>
+      <div className="modal-card" style={style} {...props} role={role || props.role}>
+        <div className="modal-h" id={titleId}>{title}</div>
+        {children}
+      </div>
+    </div>
+  );
+}
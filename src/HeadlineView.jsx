@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+import { FeedCard } from "./ThumbnailCompare.jsx";
+import { TITLE_LIMIT, VISIBLE_LIMIT, analyzeHeadline, headlineText } from "./headline.js";
+
+const LEVEL_ICON = { ok: '✅', warn: '⚠️', error: '⛔' };
+
+function LengthMeter({ length }) {
+  const pct = (n) => `${Math.min(100, n / TITLE_LIMIT * 100)}%`;
+  const cls = length > TITLE_LIMIT ? 'over' : length > VISIBLE_LIMIT ? 'long' : '';
+  return (
+    <div className="meter" title={`${length} / ${TITLE_LIMIT} characters`}>
+      <div className={`meter-fill ${cls}`} style={{width:pct(length)}} />
+      <div className="meter-mark" style={{left:pct(VISIBLE_LIMIT)}} />
+    </div>
+  );
+}
+
+// Headline workbench for one video: live length and heuristic checks per
+// headline, the chosen title, and every headline × thumbnail as a feed card.
+export default function HeadlineView({ video, headlines, thumbnails, onUpdate, onChoose, onAdd, onRemove, onClose }) {
+  const [drafts, setDrafts] = useState({}); // id → text being edited
+  const textOf = (h) => drafts[h.id] ?? headlineText(h);
+  const commit = (h) => {
+    const text = drafts[h.id];
+    if (text != null && text !== headlineText(h)) onUpdate({ ...h, content: text });
+    setDrafts(d => { const { [h.id]: _, ...rest } = d; return rest; });
+  };
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <div className="card-h" style={{gap:8}}>
+          <button className="btn" onClick={onClose}>← Back</button>
+          <div style={{fontWeight:700,flex:1}}>💬 Headlines – {video.title || 'Untitled Video'}</div>
+          <div className="meta">{(video.tags || []).map(t => <span key={t} className="pill">#{t}</span>)}</div>
+          <button className="btn" onClick={onAdd}>➕ Add</button>
+        </div>
+      </div>
+
+      {headlines.map(h => {
+        const text = textOf(h);
+        const siblings = headlines.filter(o => o.id !== h.id).map(textOf).filter(Boolean);
+        const a = analyzeHeadline(text, siblings, video.tags || []);
+        const chosen = video.chosenHeadlineId === h.id;
+        return (
+          <div key={h.id} className={`card${chosen ? ' chosen' : ''}`}>
+            <div className="card-content" style={{display:'grid',gap:8}}>
+              <div style={{display:'flex',gap:8,alignItems:'center'}}>
+                <input
+                  className="input" style={{flex:1}}
+                  value={text}
+                  onChange={(e)=> setDrafts(d => ({ ...d, [h.id]: e.target.value }))}
+                  onBlur={()=> commit(h)}
+                  onKeyDown={(e)=> { if (e.key === 'Enter') e.currentTarget.blur(); }}
+                />
+                <span className={`pill score${a.score < 50 ? ' low' : a.score < 80 ? ' mid' : ''}`} title="Heuristic score">{a.score}</span>
+                <button className={`btn${chosen ? ' primary' : ''}`} onClick={()=> onChoose(chosen ? null : h.id)}>{chosen ? '⭐ Chosen' : '☆ Choose'}</button>
+                <button className="btn" onClick={()=> onRemove(h.id)}>🗑️</button>
+              </div>
+              <div style={{display:'flex',gap:10,alignItems:'center'}}>
+                <LengthMeter length={a.length} />
+                <span className="muted" style={{whiteSpace:'nowrap'}}>{a.length}/{TITLE_LIMIT}</span>
+              </div>
+              <ul className="checks">
+                {a.checks.map((c, i) => <li key={i} className={c.level}>{LEVEL_ICON[c.level]} {c.message}</li>)}
+              </ul>
+            </div>
+          </div>
+        );
+      })}
+      {!headlines.length && <div className="empty">No headlines yet. Click <b>➕ Add</b> to brainstorm one.</div>}
+
+      {headlines.length > 0 && (
+        <div className="card">
+          <div className="card-h"><b>Feed preview</b><span className="muted">each headline with each thumbnail</span></div>
+          <div className="card-content pairings">
+            {headlines.flatMap(h => (thumbnails.length ? thumbnails : [null]).map(t => (
+              <div key={`${h.id}-${t?.id}`} style={{display:'grid',gap:4}}>
+                <span className="muted">{t ? t.title || 'Untitled thumbnail' : 'No thumbnail yet'}</span>
+                <FeedCard imageId={t && (t.renderId || t.imageId)} title={textOf(h)} />
+              </div>
+            )))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { MAX_REVISIONS, listRevisions } from "./db.js";
+import { diffItems } from "./diff.js";
+import { fmt } from "./util.js";
+import Dialog from "./Dialog.jsx";
+
+const CURRENT = "current";
+
+// Revision list for one item with a word diff between any two versions
+// (including the current one) and restore.
+export default function HistoryPanel({ item, onRestore, onClose, notify }) {
+  const [revisions, setRevisions] = useState(null);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(CURRENT);
+
+  useEffect(() => {
+    let cancelled = false;
+    listRevisions(item.id).then(
+      (list) => { if (cancelled) return; setRevisions(list); setFrom(list.find(r => r.item.updatedAt !== item.updatedAt)?.id || list[0]?.id || null); },
+      (err) => { console.error(err); notify(`Couldn't load history: ${err.message}`); setRevisions([]); },
+    );
+    return () => { cancelled = true; };
+  }, [item.id, item.updatedAt]);
+
+  const versionOf = (id) => id === CURRENT ? item : revisions?.find(r => r.id === id)?.item;
+  const before = versionOf(from), after = versionOf(to);
+  const fields = useMemo(() => before && after ? diffItems(before, after) : [], [before, after]);
+  const changed = fields.filter(f => f.changed);
+
+  return (
+    <Dialog title={<>History – {item.title || item.content || 'Untitled'}</>} onClose={onClose} style={{width:'min(1000px,95vw)'}}>
+      <div className="modal-b history">
+        <div className="history-list">
+          <div className="muted">Compare <b>from</b> / <b>to</b> · last {MAX_REVISIONS} saves kept</div>
+          <label className={`history-rev${to === CURRENT ? ' selected' : ''}`}>
+            <span style={{width:13}} />
+            <input type="radio" name="to" checked={to === CURRENT} onChange={()=> setTo(CURRENT)} />
+            <span>Current</span>
+          </label>
+          {revisions == null ? <div className="muted">Loading…</div> : revisions.map(r => (
+            <div key={r.id} className={`history-rev${from === r.id || to === r.id ? ' selected' : ''}`}>
+              <input type="radio" name="from" checked={from === r.id} onChange={()=> setFrom(r.id)} title="Compare from" />
+              <input type="radio" name="to" checked={to === r.id} onChange={()=> setTo(r.id)} title="Compare to" />
+              <span style={{flex:1}}>{fmt(r.savedAt)}</span>
+              <button className="btn" onClick={()=> onRestore(r.item)}>↩️ Restore</button>
+            </div>
+          ))}
+          {revisions?.length === 0 && <div className="muted">No saved revisions yet.</div>}
+        </div>
+        <div className="history-diff">
+          {!before || !after ? <div className="muted">Pick two versions to compare.</div>
+            : !changed.length ? <div className="muted">No differences.</div>
+            : changed.map(f => (
+              <div key={f.key} className="diff-field">
+                <div className="muted">{f.label}</div>
+                <div className="diff">
+                  {f.parts.map((p, i) => p.op === 'eq' ? <span key={i}>{p.text}</span> : p.op === 'add' ? <ins key={i}>{p.text}</ins> : <del key={i}>{p.text}</del>)}
+                </div>
+              </div>
+            ))}
+          {changed.length > 0 && fields.length > changed.length && <div className="muted">{fields.length - changed.length} unchanged field(s) hidden</div>}
+        </div>
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'flex-end'}}>
+        <button className="btn" onClick={onClose}>Close</button>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useMemo, useState } from "react";
+import { describeItem, planImport } from "./importer.js";
+import Dialog from "./Dialog.jsx";
+
+const List = ({ title, rows, render }) => rows.length ? (
+  <details className="import-list">
+    <summary>{title} <span className="pill">{rows.length}</span></summary>
+    <ul>{rows.slice(0, 200).map((r, i) => <li key={i}>{render(r)}</li>)}</ul>
+    {rows.length > 200 && <div className="muted">…and {rows.length - 200} more</div>}
+  </details>
+) : null;
+
+// Preview of an import: the user picks replace/merge and sees what would be
+// added, updated or skipped before anything is written. `items` is whatever
+// the import applies to (one channel or all of them), `scope` names it.
+// `permanent`: replacing can't be undone.
+export default function ImportDialog({ fileName, data, items, taken, scope, permanent, onConfirm, onCancel }) {
+  const [mode, setMode] = useState("merge");
+  const plan = useMemo(() => planImport(items, data, mode, taken), [items, data, mode, taken]);
+  const changes = plan.added.length + plan.updated.length + plan.removed;
+  // Replacing with nothing usable would just wipe the current items.
+  const canReplace = data.length > plan.invalid.length;
+  const canConfirm = changes > 0 && (mode !== "replace" || plan.added.length > 0);
+
+  return (
+    <Dialog title={<>Import {fileName}</>} onClose={onCancel} onSubmit={()=> { if (canConfirm) onConfirm(plan, mode); }}>
+      <div className="modal-b">
+        <div className="field" style={{display:'flex',gap:16}}>
+          <label><input type="radio" checked={mode==='merge'} onChange={()=> setMode('merge')} /> Merge by id</label>
+          <label title={canReplace ? undefined : "The file has no valid records"}><input type="radio" disabled={!canReplace} checked={mode==='replace'} onChange={()=> setMode('replace')} /> Replace {scope}</label>
+        </div>
+        <div className="meta" style={{justifyContent:'flex-start'}}>
+          <span className="pill">{plan.added.length} added</span>
+          <span className="pill">{plan.updated.length} updated</span>
+          <span className="pill">{plan.skipped.length} skipped</span>
+          <span className="pill">{plan.invalid.length} invalid</span>
+          {mode === 'replace' && <span className="pill">{plan.removed} current items removed</span>}
+        </div>
+        {mode === 'replace' && permanent && <div className="banner error">Replacing {scope} can't be undone.</div>}
+        <List title="Added" rows={plan.added} render={describeItem} />
+        <List title="Updated (newer in file)" rows={plan.updated} render={describeItem} />
+        <List title="Skipped" rows={plan.skipped} render={(s)=> <>{describeItem(s.item)} – {s.reason}</>} />
+        <List title="Invalid" rows={plan.invalid} render={(r)=> <>#{r.index + 1} {r.label}: {r.errors.join(", ")}</>} />
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'flex-end',gap:8}}>
+        <button className="btn" onClick={onCancel}>Cancel</button>
+        <button className="btn primary" disabled={!canConfirm} onClick={()=> onConfirm(plan, mode)}>{mode === 'replace' ? 'Replace' : 'Merge'}</button>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,189 @@
+import React, { useEffect, useRef, useState } from "react";
+import { MAX_WPM, MIN_WPM, clampWpm, formatDuration, scriptParts, scriptStats, secondsFor, sectionsOf, toMarkdown, toPlainText, toPrintableHtml } from "./script.js";
+import { downloadFile, slugify, uid } from "./util.js";
+
+const Count = ({ words, wpm }) => <span className="pill">{words} words · {formatDuration(secondsFor(words, wpm))}</span>;
+
+// Dedicated script editor: hook + reorderable sections, live word counts and
+// runtime, teleprompter and exports. Edits stay in a local draft until Save.
+export default function ScriptView({ script, video, wpm, onWpmChange, onSave, onHistory, onClose, onDirtyChange }) {
+  const [draft, setDraft] = useState(script);
+  const [dirty, setDirty] = useState(false);
+  const [dragIndex, setDragIndex] = useState(null);
+  const [prompter, setPrompter] = useState(false);
+  const [includePlanning, setIncludePlanning] = useState(false);
+  const [wpmText, setWpmText] = useState(String(wpm)); // may be out of range while typing
+
+  useEffect(() => { setDraft(script); setDirty(false); }, [script.id]);
+  // Follow the stored copy (own saves, other tabs) while there's nothing unsaved.
+  useEffect(() => { if (!dirty) setDraft(script); }, [script, dirty]);
+  // Tells the app about unsaved changes, so it can ask before navigating away.
+  useEffect(() => { onDirtyChange?.(dirty); }, [dirty]);
+  useEffect(() => () => onDirtyChange?.(false), []);
+
+  const update = (patch) => { setDraft(d => ({ ...d, ...patch })); setDirty(true); };
+  const setSections = (fn) => { setDraft(d => ({ ...d, sections: fn([...sectionsOf(d)]) })); setDirty(true); };
+  const updateSection = (i, patch) => setSections(list => { list[i] = { ...list[i], ...patch }; return list; });
+  const addSection = () => setSections(list => [...list, { id: uid(), name: `Section ${list.length + 1}`, planning: "", content: "" }]);
+  const removeSection = (i) => setSections(list => { list.splice(i, 1); return list; });
+  const moveSection = (from, to) => {
+    if (from === to || to < 0 || to >= sectionsOf(draft).length) return;
+    setSections(list => { const [s] = list.splice(from, 1); list.splice(to, 0, s); return list; });
+  };
+
+  const save = async () => { if (await onSave(draft)) setDirty(false); };
+  const close = () => { if (!dirty || window.confirm("Discard unsaved changes to this script?")) onClose(); };
+
+  const stats = scriptStats(draft, wpm);
+  const base = slugify(draft.title || video?.title);
+  const exportAs = (kind) => {
+    const opts = { includePlanning, wpm };
+    if (kind === "md") downloadFile(`${base}.md`, toMarkdown(draft, opts), "text/markdown");
+    if (kind === "txt") downloadFile(`${base}.txt`, toPlainText(draft, opts), "text/plain");
+    if (kind === "html") downloadFile(`${base}.html`, toPrintableHtml(draft, opts), "text/html");
+    if (kind === "print") {
+      const w = window.open("", "_blank");
+      if (!w) return;
+      w.document.write(toPrintableHtml(draft, opts));
+      w.document.close();
+      w.focus();
+      w.print();
+    }
+  };
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <div className="card-h" style={{gap:8,flexWrap:'wrap'}}>
+          <button className="btn" onClick={close}>← Back</button>
+          <input className="input" style={{flex:1}} value={draft.title} onChange={(e)=> update({ title: e.target.value })} placeholder="Script title" />
+          <div className="meta">
+            <span className="pill">{stats.total} words</span>
+            <span className="pill">~{formatDuration(stats.seconds)}</span>
+            <label>@ <input className="input" style={{minWidth:0,width:70,padding:'4px 8px'}} type="number" min={MIN_WPM} max={MAX_WPM} value={wpmText}
+              onChange={(e)=> { setWpmText(e.target.value); const n = Number(e.target.value); if (n >= MIN_WPM && n <= MAX_WPM) onWpmChange(Math.round(n)); }}
+              onBlur={()=> { const n = clampWpm(wpmText); setWpmText(String(n)); onWpmChange(n); }} /> wpm</label>
+          </div>
+        </div>
+        <div className="card-content meta" style={{justifyContent:'space-between'}}>
+          <span>{video ? `🎬 ${video.title || 'Untitled Video'}` : ''}</span>
+          <span style={{display:'flex',gap:8,flexWrap:'wrap',alignItems:'center'}}>
+            <button className="btn" onClick={onHistory}>🕘 History</button>
+            <button className="btn" onClick={()=> setPrompter(true)}>📜 Teleprompter</button>
+            <label><input type="checkbox" checked={includePlanning} onChange={(e)=> setIncludePlanning(e.target.checked)} /> include planning</label>
+            <button className="btn" onClick={()=> exportAs('md')}>⬇️ Markdown</button>
+            <button className="btn" onClick={()=> exportAs('txt')}>⬇️ Text</button>
+            <button className="btn" onClick={()=> exportAs('html')}>⬇️ HTML</button>
+            <button className="btn" onClick={()=> exportAs('print')}>🖨️ Print / PDF</button>
+            <button className="btn primary" disabled={!dirty} onClick={save}>Save</button>
+          </span>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-h"><b>Hook</b><Count words={stats.hook} wpm={wpm} /></div>
+        <div className="card-content script-part">
+          <div className="field"><label>Planning</label><textarea rows={3} value={draft.hookPlanning || ''} onChange={(e)=> update({ hookPlanning: e.target.value })} /></div>
+          <div className="field"><label>Content</label><textarea rows={5} value={draft.hookContent || ''} onChange={(e)=> update({ hookContent: e.target.value })} /></div>
+        </div>
+      </div>
+
+      {sectionsOf(draft).map((sec, i) => (
+        <div
+          key={sec.id || i}
+          className={`card${dragIndex === i ? ' dragging' : ''}`}
+          onDragOver={(e)=> { if (dragIndex != null) e.preventDefault(); }}
+          onDrop={(e)=> { e.preventDefault(); if (dragIndex != null) moveSection(dragIndex, i); setDragIndex(null); }}
+        >
+          <div className="card-h" style={{gap:8}}>
+            <span className="drag-handle" draggable onDragStart={(e)=> { setDragIndex(i); e.dataTransfer.effectAllowed = 'move'; }} onDragEnd={()=> setDragIndex(null)} title="Drag to reorder">⠿</span>
+            <input className="input" style={{flex:1,minWidth:0}} value={sec.name || ''} placeholder={`Section ${i + 1}`} onChange={(e)=> updateSection(i, { name: e.target.value })} />
+            <Count words={stats.sections[i]} wpm={wpm} />
+            <button className="btn" disabled={i === 0} onClick={()=> moveSection(i, i - 1)} title="Move up">↑</button>
+            <button className="btn" disabled={i === sectionsOf(draft).length - 1} onClick={()=> moveSection(i, i + 1)} title="Move down">↓</button>
+            <button className="btn" onClick={()=> removeSection(i)}>🗑️</button>
+          </div>
+          <div className="card-content script-part">
+            <div className="field"><label>Planning</label><textarea rows={3} value={sec.planning || ''} onChange={(e)=> updateSection(i, { planning: e.target.value })} /></div>
+            <div className="field"><label>Content</label><textarea rows={6} value={sec.content || ''} onChange={(e)=> updateSection(i, { content: e.target.value })} /></div>
+          </div>
+        </div>
+      ))}
+
+      <button className="btn" style={{justifySelf:'start'}} onClick={addSection}>➕ Add Section</button>
+
+      {prompter && <Teleprompter script={draft} onClose={()=> setPrompter(false)} />}
+    </div>
+  );
+}
+
+// Fullscreen auto-scrolling reader. Space plays/pauses, ↑/↓ change speed, Esc exits.
+function Teleprompter({ script, onClose }) {
+  const rootRef = useRef(null);
+  const scrollRef = useRef(null);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(40); // px per second
+  const [fontSize, setFontSize] = useState(44);
+
+  useEffect(() => {
+    const el = rootRef.current;
+    let entered = false;
+    el?.requestFullscreen?.().then(() => { entered = true; }, () => {});
+    const onChange = () => { if (entered && !document.fullscreenElement) onClose(); };
+    document.addEventListener("fullscreenchange", onChange);
+    return () => {
+      document.removeEventListener("fullscreenchange", onChange);
+      if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!playing) return;
+    let raf, last = performance.now(), carry = 0;
+    const tick = (t) => {
+      const el = scrollRef.current;
+      carry += (t - last) / 1000 * speed;
+      last = t;
+      const px = Math.floor(carry);
+      carry -= px;
+      el.scrollTop += px;
+      if (el.scrollTop + el.clientHeight >= el.scrollHeight - 1) { setPlaying(false); return; }
+      raf = requestAnimationFrame(tick);
+    };
+    raf = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, speed]);
+
+  useEffect(() => {
+    const onKey = (e) => {
+      if (e.key === "Escape") onClose();
+      else if (e.key === " ") { e.preventDefault(); setPlaying(p => !p); }
+      else if (e.key === "ArrowUp") { e.preventDefault(); setSpeed(s => s + 10); }
+      else if (e.key === "ArrowDown") { e.preventDefault(); setSpeed(s => Math.max(10, s - 10)); }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [onClose]);
+
+  return (
+    <div className="prompter" ref={rootRef} role="dialog" aria-modal="true" aria-label="Teleprompter">
+      <div className="prompter-bar">
+        <button className="btn" onClick={()=> setPlaying(p => !p)}>{playing ? '⏸ Pause' : '▶️ Play'}</button>
+        <label>Speed <input type="range" min={10} max={300} step={5} value={speed} onChange={(e)=> setSpeed(Number(e.target.value))} /> {speed}</label>
+        <label>Size <input type="range" min={24} max={96} value={fontSize} onChange={(e)=> setFontSize(Number(e.target.value))} /></label>
+        <button className="btn" onClick={()=> { scrollRef.current.scrollTop = 0; }}>⏮ Restart</button>
+        <button className="btn" onClick={onClose}>✕ Exit</button>
+      </div>
+      <div className="prompter-scroll" ref={scrollRef} style={{fontSize}}>
+        <div className="prompter-guide" />
+        {scriptParts(script).filter(p => p.content).map((p, i) => (
+          <div key={i} className="prompter-part">
+            <div className="prompter-label">{p.name}</div>
+            {p.content.split(/\n{2,}/).map((para, j) => <p key={j}>{para}</p>)}
+          </div>
+        ))}
+        <div style={{height:'60vh'}} />
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useMemo } from "react";
+import StatusPill from "./StatusPill.jsx";
+import { ITEM_TYPES } from "./importer.js";
+import { buildIndex, formatQuery, highlight, parseQuery, search } from "./search.js";
+import { statusesFor } from "./workflow.js";
+
+const ICONS = { video: '🎬', script: '📝', thumbnail: '🖼️', headline: '💬' };
+
+const Highlighted = ({ parts }) => parts.map((p, i) => p.hit ? <mark key={i}>{p.text}</mark> : <React.Fragment key={i}>{p.text}</React.Fragment>);
+
+// Search results grouped by video, with facet controls that rewrite the query
+// string – so whatever the facets show can be copied and shared as text.
+export default function SearchView({ query, onQueryChange, items, workflows, onOpen }) {
+  const index = useMemo(() => buildIndex(items), [items]);
+  const parsed = useMemo(() => parseQuery(query), [query]);
+  const groups = useMemo(() => search(index, items, parsed), [index, items, parsed]);
+  const total = groups.reduce((n, g) => n + g.matches.length, 0);
+
+  const allTags = useMemo(() => [...new Set(items.flatMap(i => i.tags || []).map(t => t.toLowerCase()))].sort(), [items]);
+  const allStatuses = useMemo(() => {
+    const map = new Map();
+    for (const t of ITEM_TYPES) for (const s of statusesFor(workflows, t)) if (!map.has(s.id)) map.set(s.id, s.label);
+    return [...map];
+  }, [workflows]);
+
+  const setFacet = (patch) => onQueryChange(formatQuery({ ...parsed, ...patch }));
+  const single = (list) => list.length === 1 ? list[0] : "";
+
+  return (
+    <div className="grid">
+      <div className="facets">
+        <select className="input" value={single(parsed.type)} onChange={(e)=> setFacet({ type: e.target.value ? [e.target.value] : [] })}>
+          <option value="">Any type</option>
+          {ITEM_TYPES.map(t => <option key={t} value={t}>{ICONS[t]} {t}</option>)}
+        </select>
+        <select className="input" value={single(parsed.status)} onChange={(e)=> setFacet({ status: e.target.value ? [e.target.value] : [] })}>
+          <option value="">Any status</option>
+          {allStatuses.map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select className="input" value={single(parsed.tag)} onChange={(e)=> setFacet({ tag: e.target.value ? [e.target.value] : [] })}>
+          <option value="">Any tag</option>
+          {allTags.map(t => <option key={t} value={t}>#{t}</option>)}
+        </select>
+        <select className="input" value={parsed.date} onChange={(e)=> setFacet({ date: e.target.value })} title="Which date the range applies to">
+          <option value="updated">Updated</option>
+          <option value="created">Created</option>
+          <option value="film">Film date</option>
+          <option value="publish">Publish date</option>
+        </select>
+        <input className="input" type="date" value={parsed.after} onChange={(e)=> setFacet({ after: e.target.value })} title="From" />
+        <input className="input" type="date" value={parsed.before} onChange={(e)=> setFacet({ before: e.target.value })} title="To" />
+        <button className="btn" onClick={()=> onQueryChange("")}>Clear</button>
+      </div>
+
+      {parsed.invalid.length > 0 && (
+        <div className="banner error" role="alert">Ignored {parsed.invalid.join(", ")} – dates are YYYY-MM-DD and <code>date:</code> is one of updated, created, film, publish.</div>
+      )}
+
+      <div className="muted">{total} match{total === 1 ? '' : 'es'} in {groups.length} video{groups.length === 1 ? '' : 's'}</div>
+
+      {groups.map(({ video, matches }) => (
+        <div key={video.id} className="card">
+          <div className="card-h">
+            <div style={{fontWeight:700}}>🎬 <Highlighted parts={highlight(video.title || 'Untitled Video', parsed, 200)} /></div>
+            <div className="meta"><StatusPill workflows={workflows} item={video} /></div>
+          </div>
+          <div className="card-content rows">
+            {matches.map(({ item, fields }) => (
+              <div key={item.id} className="row search-hit" onClick={()=> onOpen(item)}>
+                <div>
+                  <div>{ICONS[item.type]} {item.title || item.content || 'Untitled'} <StatusPill workflows={workflows} item={item} /></div>
+                  {fields.map((f, i) => (
+                    <div key={i} className="snippet"><span className="muted">{f.label}:</span> <Highlighted parts={highlight(f.text, parsed)} /></div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+      {!groups.length && <div className="empty">Nothing matches “{query}”.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+import Dialog from "./Dialog.jsx";
+import { SHORTCUT_ACTIONS, bindingsFor, comboOf, formatCombo } from "./shortcuts.js";
+
+// Lists every shortcut and lets the user rebind one by pressing the new keys.
+// A combo already used elsewhere moves to the action being recorded.
+export default function ShortcutSettings({ overrides, onSave, onClose }) {
+  const [draft, setDraft] = useState(overrides);
+  const [recording, setRecording] = useState(null); // action id waiting for keys
+  const bindings = bindingsFor(draft);
+
+  const record = (e, id) => {
+    if (e.key === "Escape" || e.key === "Tab") return; // cancel via the dialog / keep focus moving
+    const combo = comboOf(e);
+    if (!combo) return;
+    e.preventDefault(); e.stopPropagation();
+    const next = { ...draft, [id]: [combo] };
+    for (const a of SHORTCUT_ACTIONS) {
+      if (a.id !== id && bindings[a.id].includes(combo)) next[a.id] = bindings[a.id].filter(c => c !== combo);
+    }
+    setDraft(next);
+    setRecording(null);
+  };
+  const reset = (id) => setDraft(({ [id]: _, ...rest }) => rest);
+
+  return (
+    <Dialog title="⌨️ Keyboard shortcuts" onClose={()=> recording ? setRecording(null) : onClose()} onSubmit={()=> onSave(draft)}>
+      <div className="modal-b">
+        <div className="muted">Esc closes dialogs and Ctrl/⌘+Enter saves them. Shortcuts without Ctrl/⌘ are ignored while typing.</div>
+        <div className="rows" style={{marginTop:0}}>
+          {SHORTCUT_ACTIONS.map(a => (
+            <div key={a.id} className="row">
+              <span>{a.label}</span>
+              <span className="meta">
+                {recording === a.id
+                  ? <button className="btn primary" autoFocus onKeyDown={(e)=> record(e, a.id)} onBlur={()=> setRecording(null)}>Press keys…</button>
+                  : <button className="btn" onClick={()=> setRecording(a.id)} title="Change" aria-label={`Change shortcut for ${a.label}`}>
+                      {bindings[a.id].length ? bindings[a.id].map(c => <kbd key={c}>{formatCombo(c)}</kbd>) : <span className="muted">none</span>}
+                    </button>}
+                {draft[a.id] && <button className="btn" onClick={()=> reset(a.id)} title="Back to default">↺</button>}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'space-between',gap:8}}>
+        <button className="btn" onClick={()=> setDraft({})}>Reset all</button>
+        <span style={{display:'flex',gap:8}}>
+          <button className="btn" onClick={onClose}>Cancel</button>
+          <button className="btn primary" onClick={()=> onSave(draft)}>Save</button>
+        </span>
+      </div>
+    </Dialog>
+  );
+}
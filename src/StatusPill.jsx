@@ -0,0 +1,11 @@
+import React from "react";
+import { statusInfo } from "./workflow.js";
+
+export default function StatusPill({ workflows, item }) {
+  const s = statusInfo(workflows, item.type, item.status);
+  return (
+    <span className="pill status-pill" style={{'--status':s.color}} title={s.unknown ? 'Not part of this workflow' : undefined}>
+      {s.label}{s.unknown ? ' ?' : ''}
+    </span>
+  );
+}
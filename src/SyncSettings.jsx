@@ -0,0 +1,72 @@
+import React, { useState } from "react";
+import { restAdapter } from "./sync.js";
+import { fmt } from "./util.js";
+import Dialog from "./Dialog.jsx";
+
+// Sync server settings, the last round's outcome and the server's channels
+// that aren't on this device yet.
+export default function SyncSettings({ config, status, syncing, workspaces, onSave, onSyncNow, onJoin, onClose }) {
+  const [draft, setDraft] = useState(config);
+  const [remote, setRemote] = useState(null); // server's channels once checked
+  const [checking, setChecking] = useState(false);
+  const [checkError, setCheckError] = useState("");
+  const changed = draft.url !== config.url || draft.token !== config.token || draft.auto !== config.auto;
+
+  const check = async () => {
+    setChecking(true); setCheckError("");
+    try { setRemote(await restAdapter(draft.url, draft.token).listWorkspaces()); }
+    catch (err) { setRemote(null); setCheckError(err.message); }
+    finally { setChecking(false); }
+  };
+  const missing = (remote || []).filter(r => !workspaces.some(w => w.id === r.id));
+  // An https page may not fetch plain http (mixed content), except from localhost.
+  const blocked = window.location.protocol === "https:" && /^http:\/\/(?!localhost[:/]|localhost$|127\.0\.0\.1)/i.test(draft.url);
+
+  return (
+    <Dialog title="🔄 Sync" onClose={onClose} onSubmit={()=> { if (changed) onSave(draft); }} style={{width:'min(640px,92vw)'}}>
+      <div className="modal-b">
+        <div className="muted">
+          Sync keeps channels in step with a server your team shares – see <code>npm run server</code>.
+          Images stay on the device they were added on. Newest change wins, so keep device clocks right.
+        </div>
+        <div className="field">
+          <label>Server URL</label>
+          <input type="url" value={draft.url} onChange={(e)=> setDraft({ ...draft, url: e.target.value.trim() })} placeholder="https://sync.example.com – empty turns sync off" />
+          {blocked && <div className="muted" style={{color:'#ef4444'}}>Browsers block plain http:// servers from this https page – use an https:// address.</div>}
+        </div>
+        <div className="field">
+          <label>Token (if the server sets SYNC_TOKEN)</label>
+          <input type="password" value={draft.token} onChange={(e)=> setDraft({ ...draft, token: e.target.value })} autoComplete="off" />
+        </div>
+        <label><input type="checkbox" checked={draft.auto} onChange={(e)=> setDraft({ ...draft, auto: e.target.checked })} /> Sync automatically (on start, when switching channel and every minute)</label>
+        <div className="meta" style={{justifyContent:'flex-start'}}>
+          <button className="btn" disabled={!draft.url || checking} onClick={check}>{checking ? 'Checking…' : '🔌 Check server'}</button>
+          {checkError && <span className="pill" style={{borderColor:'#ef4444'}}>{checkError}</span>}
+          {remote && !checkError && <span className="pill">Connected · {remote.length} channel{remote.length === 1 ? '' : 's'}</span>}
+        </div>
+        {missing.length > 0 && (
+          <div className="rows" style={{marginTop:0}}>
+            {missing.map(r => (
+              <div key={r.id} className="row">
+                <div>{r.name} <span className="muted">only on the server</span></div>
+                <button className="btn" disabled={changed} title={changed ? "Save the settings first" : undefined} onClick={()=> onJoin(r)}>➕ Add to this device</button>
+              </div>
+            ))}
+          </div>
+        )}
+        {status && (
+          <div className="muted">
+            Last sync {fmt(status.at)}: {status.error ? `failed – ${status.error}` : `${status.pushed} sent, ${status.pulled} received${status.invalid ? `, ${status.invalid} invalid skipped` : ""}`}
+          </div>
+        )}
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'space-between',gap:8}}>
+        <button className="btn" disabled={!config.url || changed || syncing} onClick={onSyncNow}>{syncing ? 'Syncing…' : '🔄 Sync this channel now'}</button>
+        <span style={{display:'flex',gap:8}}>
+          <button className="btn" onClick={onClose}>Close</button>
+          <button className="btn primary" disabled={!changed} onClick={()=> onSave(draft)}>Save</button>
+        </span>
+      </div>
+    </Dialog>
+  );
+}
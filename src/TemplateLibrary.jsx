@@ -0,0 +1,52 @@
+import React, { useRef } from "react";
+import { fmt } from "./util.js";
+import Dialog from "./Dialog.jsx";
+
+const ICONS = { script: '📝', thumbnail: '🖼️', headline: '💬' };
+
+const summary = (t) => {
+  const counts = {};
+  for (const c of t.children) counts[c.type] = (counts[c.type] || 0) + 1;
+  return Object.entries(counts).map(([type, n]) => `${ICONS[type]} ${n}`).join("  ");
+};
+
+// Template library: start a video from a template, export/import them as
+// JSON, rename or delete them.
+export default function TemplateLibrary({ templates, onUse, onRename, onDelete, onExport, onImport, onClose }) {
+  const fileRef = useRef(null);
+  const sorted = [...templates].sort((a, b) => a.name.localeCompare(b.name));
+  return (
+    <Dialog title="📑 Templates" onClose={onClose} style={{width:'min(720px,92vw)'}}>
+      <div className="modal-b">
+        {sorted.length ? (
+          <div className="rows" style={{marginTop:0}}>
+            {sorted.map(t => (
+              <div key={t.id} className="row">
+                <div>
+                  <div style={{fontWeight:600}}>{t.name}</div>
+                  <div className="muted">{summary(t) || 'Video only'}{t.video.tags.length ? ` · ${t.video.tags.map(x => '#' + x).join(' ')}` : ''} · saved {fmt(t.createdAt)}</div>
+                </div>
+                <div className="meta">
+                  <button className="btn primary" onClick={()=> onUse(t)}>➕ New video</button>
+                  <button className="btn" onClick={()=> { const name = window.prompt("Template name", t.name); if (name?.trim()) onRename(t, name.trim()); }} title="Rename">✏️</button>
+                  <button className="btn" onClick={()=> onExport([t])} title="Export JSON">📤</button>
+                  <button className="btn" onClick={()=> { if (window.confirm(`Delete template “${t.name}”?`)) onDelete(t); }} title="Delete">🗑️</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="empty">No templates yet. Use <b>📑 Save as template</b> on a video to create one.</div>
+        )}
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'space-between',gap:8}}>
+        <span style={{display:'flex',gap:8}}>
+          <button className="btn" onClick={()=> fileRef.current?.click()}>📥 Import</button>
+          <button className="btn" disabled={!templates.length} onClick={()=> onExport(templates)}>📤 Export all</button>
+          <input ref={fileRef} type="file" accept="application/json" style={{display:'none'}} onChange={(e)=> { const f = e.target.files?.[0]; if (f) onImport(f); e.currentTarget.value = ""; }} />
+        </span>
+        <button className="btn" onClick={onClose}>Close</button>
+      </div>
+    </Dialog>
+  );
+}
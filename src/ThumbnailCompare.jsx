@@ -0,0 +1,48 @@
+import React from "react";
+import BlobImage from "./BlobImage.jsx";
+import Dialog from "./Dialog.jsx";
+
+const Placeholder = () => <div className="thumb-empty">No image</div>;
+
+// A feed-style card: thumbnail with a duration badge, title and channel line.
+export function FeedCard({ imageId, title, size = "home", channel = "Your channel" }) {
+  return (
+    <div className={`feed-card feed-${size}`}>
+      <div className="feed-thumb">
+        <BlobImage id={imageId} fallback={<Placeholder />} />
+        <span className="feed-duration">12:34</span>
+      </div>
+      <div className="feed-text">
+        <div className="feed-title">{title || 'Untitled Video'}</div>
+        <div className="feed-sub">{channel}</div>
+        <div className="feed-sub">12K views · 3 days ago</div>
+      </div>
+    </div>
+  );
+}
+
+// Side-by-side A/B view of a video's thumbnail variants, full size and as
+// they would appear in the home feed and the narrow "up next" column.
+export default function ThumbnailCompare({ video, thumbnails, title, onOpen, onClose }) {
+  return (
+    <Dialog title={<>Thumbnail variants – {video.title || 'Untitled Video'}</>} onClose={onClose} style={{width:'min(1200px,95vw)'}}>
+      <div className="modal-b compare">
+        {thumbnails.length ? thumbnails.map((t, i) => (
+          <div key={t.id} className="compare-col">
+            <div style={{display:'flex',justifyContent:'space-between',alignItems:'center'}}>
+              <b>{String.fromCharCode(65 + i)} · {t.title || 'Untitled'}</b>
+              <button className="btn" onClick={()=> onOpen(t)}>🎨 Compose</button>
+            </div>
+            <div className="compare-full"><BlobImage id={t.renderId || t.imageId} fallback={<Placeholder />} /></div>
+            <FeedCard imageId={t.renderId || t.imageId} title={title} size="home" />
+            <FeedCard imageId={t.renderId || t.imageId} title={title} size="small" />
+            {t.renderSize && <div className="muted">{t.renderType === 'image/png' ? 'PNG' : 'JPEG'} · {(t.renderSize / 1024).toFixed(0)} KB</div>}
+          </div>
+        )) : <div className="empty">This video has no thumbnails yet.</div>}
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'flex-end'}}>
+        <button className="btn" onClick={onClose}>Close</button>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,217 @@
+import React, { useEffect, useRef, useState } from "react";
+import { getBlob, putBlob } from "./db.js";
+import { FONTS, THUMB_H, THUMB_W, drawComposition, encodeThumbnail, hitTest, layerBounds, loadImage, newLayer, renderThumbnail } from "./thumbnail.js";
+import { downloadFile, slugify } from "./util.js";
+
+const Num = ({ layer, onChange, label, k, min, max, step = 1 }) => (
+  <label className="field">{label}<input type="number" min={min} max={max} step={step} value={layer[k]} onChange={(e)=> onChange({ [k]: Number(e.target.value) })} /></label>
+);
+const Color = ({ layer, onChange, label, k }) => (
+  <label className="field">{label}<input type="color" value={layer[k]} onChange={(e)=> onChange({ [k]: e.target.value })} /></label>
+);
+const Check = ({ layer, onChange, label, k }) => (
+  <label><input type="checkbox" checked={!!layer[k]} onChange={(e)=> onChange({ [k]: e.target.checked })} /> {label}</label>
+);
+
+// 1280×720 canvas editor for a thumbnail item: base image (drop, paste or
+// pick), text and shape layers dragged into place, export under 2 MB.
+export default function ThumbnailComposer({ thumbnail, video, onSave, onClose, notify, onDirtyChange }) {
+  const [draft, setDraft] = useState(thumbnail);
+  const [dirty, setDirty] = useState(false);
+  const [image, setImage] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [dropping, setDropping] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const canvasRef = useRef(null);
+  const fileRef = useRef(null);
+  const dragRef = useRef(null); // { id, dx, dy }
+
+  const layers = draft.composition?.layers || [];
+  const selected = layers.find(l => l.id === selectedId) || null;
+
+  useEffect(() => { setDraft(thumbnail); setDirty(false); setSelectedId(null); }, [thumbnail.id]);
+  // Follow the stored copy (own saves, other tabs) while there's nothing unsaved.
+  useEffect(() => { if (!dirty) setDraft(thumbnail); }, [thumbnail, dirty]);
+  // Tells the app about unsaved changes, so it can ask before navigating away.
+  useEffect(() => { onDirtyChange?.(dirty); }, [dirty]);
+  useEffect(() => () => onDirtyChange?.(false), []);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!draft.imageId) { setImage(null); return; }
+    getBlob(draft.imageId).then(blob => blob ? loadImage(blob) : null).then(
+      (img) => { if (!cancelled) setImage(img); },
+      (err) => notify(err.message),
+    );
+    return () => { cancelled = true; };
+  }, [draft.imageId]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    drawComposition(ctx, image, layers);
+    if (selected) {
+      const b = layerBounds(ctx, selected);
+      ctx.save();
+      ctx.setLineDash([12, 8]);
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = "#6d95ff";
+      ctx.strokeRect(b.x - 6, b.y - 6, b.w + 12, b.h + 12);
+      ctx.restore();
+    }
+  });
+
+  const change = (patch) => { setDraft(d => ({ ...d, ...patch })); setDirty(true); };
+  const setLayers = (fn) => change({ composition: { ...(draft.composition || {}), layers: fn([...layers]) } });
+  const updateLayer = (id, patch) => setLayers(list => list.map(l => l.id === id ? { ...l, ...patch } : l));
+  const addLayer = (kind) => { const l = newLayer(kind); setLayers(list => [...list, l]); setSelectedId(l.id); };
+  const removeLayer = (id) => { setLayers(list => list.filter(l => l.id !== id)); setSelectedId(null); };
+  const moveLayer = (id, by) => setLayers(list => {
+    const i = list.findIndex(l => l.id === id), j = i + by;
+    if (j < 0 || j >= list.length) return list;
+    [list[i], list[j]] = [list[j], list[i]];
+    return list;
+  });
+
+  const attach = async (file) => {
+    if (!file || !file.type.startsWith("image/")) { notify("That isn't an image"); return; }
+    try { change({ imageId: await putBlob(file) }); }
+    catch (err) { notify(err.message); }
+  };
+
+  useEffect(() => {
+    const onPaste = (e) => {
+      const file = [...(e.clipboardData?.files || [])].find(f => f.type.startsWith("image/"));
+      if (file) { e.preventDefault(); attach(file); }
+    };
+    window.addEventListener("paste", onPaste);
+    return () => window.removeEventListener("paste", onPaste);
+  });
+
+  const toCanvas = (e) => {
+    const r = canvasRef.current.getBoundingClientRect();
+    return { x: (e.clientX - r.left) * THUMB_W / r.width, y: (e.clientY - r.top) * THUMB_H / r.height };
+  };
+  const onPointerDown = (e) => {
+    const p = toCanvas(e);
+    const id = hitTest(canvasRef.current.getContext("2d"), layers, p.x, p.y);
+    setSelectedId(id);
+    if (!id) return;
+    const l = layers.find(x => x.id === id);
+    dragRef.current = { id, dx: p.x - l.x, dy: p.y - l.y };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+  const onPointerMove = (e) => {
+    const d = dragRef.current;
+    if (!d) return;
+    const p = toCanvas(e);
+    updateLayer(d.id, { x: Math.round(p.x - d.dx), y: Math.round(p.y - d.dy) });
+  };
+  const onPointerUp = () => { dragRef.current = null; };
+
+  const render = async (prefer) => {
+    const canvas = await renderThumbnail(draft.imageId ? await getBlob(draft.imageId) : null, layers);
+    return encodeThumbnail(canvas, prefer);
+  };
+  const save = async () => {
+    setBusy(true);
+    try {
+      const blob = await render();
+      const renderId = await putBlob(blob);
+      if (await onSave({ ...draft, renderId, renderType: blob.type, renderSize: blob.size })) setDirty(false);
+    } catch (err) { notify(err.message); }
+    finally { setBusy(false); }
+  };
+  const download = async (prefer) => {
+    setBusy(true);
+    try {
+      const blob = await render(prefer);
+      downloadFile(`${slugify(draft.title || video?.title)}.${blob.type === "image/png" ? "png" : "jpg"}`, blob);
+      notify(`Exported ${(blob.size / 1024 / 1024).toFixed(2)} MB ${blob.type === "image/png" ? "PNG" : "JPEG"}`);
+    } catch (err) { notify(err.message); }
+    finally { setBusy(false); }
+  };
+  const close = () => { if (!dirty || window.confirm("Discard unsaved changes to this thumbnail?")) onClose(); };
+
+  const props = selected ? { layer: selected, onChange: (patch) => updateLayer(selected.id, patch) } : null;
+
+  return (
+    <div className="grid">
+      <div className="card">
+        <div className="card-h" style={{gap:8,flexWrap:'wrap'}}>
+          <button className="btn" onClick={close}>← Back</button>
+          <input className="input" style={{flex:1}} value={draft.title} onChange={(e)=> change({ title: e.target.value })} placeholder="Variant name" />
+          <span className="muted">{video ? `🎬 ${video.title || 'Untitled Video'}` : ''}</span>
+          <button className="btn" disabled={busy} onClick={()=> download('image/png')}>⬇️ PNG</button>
+          <button className="btn" disabled={busy} onClick={()=> download('image/jpeg')}>⬇️ JPEG</button>
+          <button className="btn primary" disabled={busy || !dirty} onClick={save}>Save</button>
+        </div>
+      </div>
+
+      <div className="composer">
+        <div>
+          <div
+            className={`composer-stage${dropping ? ' over' : ''}`}
+            onDragOver={(e)=> { if ([...e.dataTransfer.types].includes('Files')) { e.preventDefault(); setDropping(true); } }}
+            onDragLeave={()=> setDropping(false)}
+            onDrop={(e)=> { e.preventDefault(); setDropping(false); attach(e.dataTransfer.files?.[0]); }}
+          >
+            <canvas ref={canvasRef} width={THUMB_W} height={THUMB_H} onPointerDown={onPointerDown} onPointerMove={onPointerMove} onPointerUp={onPointerUp} />
+            {!image && <div className="composer-hint">Drop or paste an image, or use “Choose image”</div>}
+          </div>
+          <div className="meta" style={{justifyContent:'flex-start',marginTop:8}}>
+            <button className="btn" onClick={()=> fileRef.current?.click()}>🖼️ Choose image</button>
+            {draft.imageId && <button className="btn" onClick={()=> change({ imageId: null })}>Remove image</button>}
+            <button className="btn" onClick={()=> addLayer('text')}>🔤 Text</button>
+            <button className="btn" onClick={()=> addLayer('rect')}>▭ Box</button>
+            <button className="btn" onClick={()=> addLayer('ellipse')}>◯ Circle</button>
+            <input ref={fileRef} type="file" accept="image/*" style={{display:'none'}} onChange={(e)=> { attach(e.target.files?.[0]); e.currentTarget.value = ""; }} />
+          </div>
+        </div>
+
+        <div className="composer-panel">
+          <div className="muted">Layers (top first)</div>
+          <div className="rows">
+            {[...layers].reverse().map(l => (
+              <div key={l.id} className={`row${l.id === selectedId ? ' selected' : ''}`} onClick={()=> setSelectedId(l.id)}>
+                <span>{l.kind === 'text' ? `🔤 ${l.text.split('\n')[0] || 'Text'}` : l.kind === 'rect' ? '▭ Box' : '◯ Circle'}</span>
+                <span className="meta">
+                  <button className="btn" onClick={(e)=> { e.stopPropagation(); moveLayer(l.id, 1); }} title="Bring forward">↑</button>
+                  <button className="btn" onClick={(e)=> { e.stopPropagation(); moveLayer(l.id, -1); }} title="Send back">↓</button>
+                  <button className="btn" onClick={(e)=> { e.stopPropagation(); removeLayer(l.id); }}>🗑️</button>
+                </span>
+              </div>
+            ))}
+            {!layers.length && <div className="muted">No overlays yet.</div>}
+          </div>
+
+          {selected && (
+            <div className="composer-props">
+              {selected.kind === 'text' ? (
+                <>
+                  <label className="field">Text<textarea rows={2} value={selected.text} onChange={(e)=> updateLayer(selected.id, { text: e.target.value })} /></label>
+                  <label className="field">Font
+                    <select value={selected.font} onChange={(e)=> updateLayer(selected.id, { font: e.target.value })}>
+                      {FONTS.map(f => <option key={f} value={f}>{f.split(',')[0]}</option>)}
+                    </select>
+                  </label>
+                  <Num {...props} label="Size" k="size" min={12} max={400} />
+                </>
+              ) : (
+                <>
+                  <Num {...props} label="Width" k="w" min={4} max={THUMB_W} />
+                  <Num {...props} label="Height" k="h" min={4} max={THUMB_H} />
+                  <Check {...props} label="Filled" k="fill" />
+                </>
+              )}
+              <Color {...props} label="Colour" k="color" />
+              <Num {...props} label="Outline" k="outlineWidth" min={0} max={40} />
+              <Color {...props} label="Outline colour" k="outlineColor" />
+              <Num {...props} label="Opacity" k="opacity" min={0.1} max={1} step={0.1} />
+              <Check {...props} label="Drop shadow" k="shadow" />
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
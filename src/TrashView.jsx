@@ -0,0 +1,36 @@
+import React from "react";
+import { trashGroups } from "./trash.js";
+import { fmt } from "./util.js";
+
+const ICONS = { video: '🎬', script: '📝', thumbnail: '🖼️', headline: '💬' };
+
+export default function TrashView({ items, trashDays, onTrashDaysChange, onRestore, onPurge, onEmpty }) {
+  const groups = trashGroups(items);
+  return (
+    <div className="grid">
+      <div className="meta" style={{justifyContent:'space-between'}}>
+        <label>Deleted items are removed for good after{' '}
+          <input className="input" style={{minWidth:0,width:70,padding:'4px 8px'}} type="number" min={1} value={trashDays} onChange={(e)=> onTrashDaysChange(Math.max(1, Number(e.target.value) || 1))} /> days
+        </label>
+        <button className="btn" disabled={!groups.length} onClick={onEmpty}>🔥 Empty Trash</button>
+      </div>
+      {groups.length ? (
+        <div className="rows">
+          {groups.map(({ root, children }) => (
+            <div key={root.id} className="row">
+              <div>
+                {ICONS[root.type]} {root.title || root.content || 'Untitled'}
+                {children.length > 0 && <span className="muted"> + {children.length} item{children.length === 1 ? '' : 's'}</span>}
+                <div className="muted">Deleted {fmt(root.deletedAt)}</div>
+              </div>
+              <div className="meta">
+                <button className="btn" onClick={()=> onRestore(root.id)}>♻️ Restore</button>
+                <button className="btn" onClick={()=> onPurge(root.id)}>❌ Delete forever</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      ) : <div className="empty">Trash is empty.</div>}
+    </div>
+  );
+}
@@ -0,0 +1,54 @@
+import React, { useState } from "react";
+import { DEFAULT_WORKFLOWS, newStatusId, statusesFor } from "./workflow.js";
+import Dialog from "./Dialog.jsx";
+
+const TYPES = ['video', 'script', 'thumbnail', 'headline'];
+
+// Editor for the per-type status workflows. Works on a copy; Save hands the
+// whole map back. Renaming keeps the status id, so existing items follow.
+export default function WorkflowSettings({ workflows, items, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(TYPES.map(t => [t, statusesFor(workflows, t)])));
+  const [type, setType] = useState("video");
+  const list = draft[type];
+  const inUse = (id) => items.filter(i => i.type === type && i.status === id).length;
+
+  const setList = (fn) => setDraft(d => ({ ...d, [type]: fn([...d[type]]) }));
+  const update = (i, patch) => setList(l => { l[i] = { ...l[i], ...patch }; return l; });
+  const move = (i, to) => setList(l => { const [s] = l.splice(i, 1); l.splice(to, 0, s); return l; });
+  const remove = (i) => {
+    const n = inUse(list[i].id);
+    if (n && !window.confirm(`${n} item(s) use “${list[i].label}”. They will show under “Other” until moved. Remove it?`)) return;
+    setList(l => { l.splice(i, 1); return l; });
+  };
+  const add = () => setList(l => [...l, { id: newStatusId(l, "New status"), label: "New status", color: "#94a3b8" }]);
+
+  return (
+    <Dialog title="Status workflows" onClose={onClose} onSubmit={()=> onSave(draft)}>
+      <div className="modal-b">
+        <div className="meta" style={{justifyContent:'flex-start'}}>
+          {TYPES.map(t => <button key={t} className={`btn${t===type ? ' primary' : ''}`} onClick={()=> setType(t)}>{t}</button>)}
+        </div>
+        <div className="rows">
+          {list.map((s, i) => (
+            <div key={s.id} className="row" style={{gap:8}}>
+              <input type="color" value={s.color} onChange={(e)=> update(i, { color: e.target.value })} title="Colour" />
+              <input className="input" style={{flex:1,minWidth:0}} value={s.label} onChange={(e)=> update(i, { label: e.target.value })} />
+              <span className="muted">{inUse(s.id)}</span>
+              <button className="btn" disabled={i === 0} onClick={()=> move(i, i - 1)}>↑</button>
+              <button className="btn" disabled={i === list.length - 1} onClick={()=> move(i, i + 1)}>↓</button>
+              <button className="btn" disabled={list.length === 1} onClick={()=> remove(i)}>🗑️</button>
+            </div>
+          ))}
+        </div>
+        <div style={{display:'flex',gap:8}}>
+          <button className="btn" onClick={add}>➕ Add status</button>
+          <button className="btn" onClick={()=> setDraft(d => ({ ...d, [type]: DEFAULT_WORKFLOWS[type] }))}>Reset to default</button>
+        </div>
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'flex-end',gap:8}}>
+        <button className="btn" onClick={onClose}>Cancel</button>
+        <button className="btn primary" onClick={()=> onSave(draft)}>Save</button>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { fmt } from "./util.js";
+import Dialog from "./Dialog.jsx";
+
+// Channel list: switch, rename, export or delete channels and export all of
+// them as one file.
+export default function WorkspaceManager({ workspaces, currentId, videoCounts, onSwitch, onCreate, onRename, onDelete, onExport, onExportAll, onClose }) {
+  const askName = (initial, done) => { const name = window.prompt("Channel name", initial); if (name?.trim()) done(name.trim()); };
+  return (
+    <Dialog title="📺 Channels" onClose={onClose} style={{width:'min(640px,92vw)'}}>
+      <div className="modal-b">
+        <div className="rows" style={{marginTop:0}}>
+          {workspaces.map(w => (
+            <div key={w.id} className={`row${w.id === currentId ? ' selected' : ''}`}>
+              <div>
+                <div style={{fontWeight:600}}>{w.name}</div>
+                <div className="muted">{videoCounts.get(w.id) || 0} video{videoCounts.get(w.id) === 1 ? '' : 's'} · created {fmt(w.createdAt)}</div>
+              </div>
+              <div className="meta">
+                {w.id !== currentId && <button className="btn" onClick={()=> onSwitch(w.id)}>Open</button>}
+                <button className="btn" onClick={()=> askName(w.name, (name)=> onRename(w, name))} title="Rename">✏️</button>
+                <button className="btn" onClick={()=> onExport(w)} title="Export JSON">📤</button>
+                <button className="btn" disabled={workspaces.length < 2} onClick={()=> { if (window.confirm(`Delete channel “${w.name}” with all its videos and templates? This can't be undone.`)) onDelete(w); }} title={workspaces.length < 2 ? "The last channel can't be deleted" : "Delete"}>🗑️</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'space-between',gap:8}}>
+        <span style={{display:'flex',gap:8}}>
+          <button className="btn" onClick={()=> askName("", onCreate)}>➕ New channel</button>
+          <button className="btn" onClick={onExportAll}>📤 Export all channels</button>
+        </span>
+        <button className="btn" onClick={onClose}>Close</button>
+      </div>
+    </Dialog>
+  );
+}
+
+// Moves or copies one video (with its scripts, thumbnails and headlines) to another channel.
+export function MoveVideoDialog({ video, workspaces, currentId, onMove, onCopy, onClose }) {
+  const others = workspaces.filter(w => w.id !== currentId);
+  const [target, setTarget] = useState(others[0]?.id || "");
+  return (
+    <Dialog title={<>Move or copy “{video.title || 'Untitled Video'}”</>} onClose={onClose}>
+      <div className="modal-b">
+        {others.length ? (
+          <div className="field">
+            <label>To channel</label>
+            <select value={target} onChange={(e)=> setTarget(e.target.value)}>
+              {others.map(w => <option key={w.id} value={w.id}>{w.name}</option>)}
+            </select>
+          </div>
+        ) : (
+          <div className="empty">There's no other channel yet. Create one from the channel menu first.</div>
+        )}
+        <div className="muted">Scripts, thumbnails and headlines go with the video. A copy gets new ids and starts without revision history.</div>
+      </div>
+      <div className="modal-b" style={{display:'flex',justifyContent:'flex-end',gap:8}}>
+        <button className="btn" onClick={onClose}>Cancel</button>
+        <button className="btn" disabled={!target} onClick={()=> onCopy(target)}>📄 Copy</button>
+        <button className="btn primary" disabled={!target} onClick={()=> onMove(target)}>📦 Move</button>
+      </div>
+    </Dialog>
+  );
+}
@@ -0,0 +1,111 @@
+// Scheduling helpers. Video dates are local calendar days stored as
+// "YYYY-MM-DD" strings, so they never shift with the viewer's time zone.
+
+export const DATE_FIELDS = [
+  { key: "filmDate", label: "Film", icon: "🎥" },
+  { key: "plannedPublishDate", label: "Planned publish", icon: "📅" },
+  { key: "publishedDate", label: "Published", icon: "✅" },
+];
+
+const pad = (n) => String(n).padStart(2, "0");
+export const toDateKey = (d) => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+export const fromDateKey = (key) => { const [y, m, d] = key.split("-").map(Number); return new Date(y, m - 1, d); };
+export const addDays = (d, n) => new Date(d.getFullYear(), d.getMonth(), d.getDate() + n);
+export const todayKey = () => toDateKey(new Date());
+
+export const startOfWeek = (d) => addDays(d, -((d.getDay() + 6) % 7)); // weeks start on Monday
+
+export const weekOf = (d) => Array.from({ length: 7 }, (_, i) => addDays(startOfWeek(d), i));
+
+// Whole weeks covering the month that contains `d`.
+export function monthGrid(d) {
+  const first = new Date(d.getFullYear(), d.getMonth(), 1);
+  const last = new Date(d.getFullYear(), d.getMonth() + 1, 0);
+  const weeks = [];
+  for (let w = startOfWeek(first); w <= last; w = addDays(w, 7)) weeks.push(weekOf(w));
+  return weeks;
+}
+
+// A planned publish date in the past with no actual publish date.
+export const isOverdue = (video, today = todayKey()) => !!video.plannedPublishDate && !video.publishedDate && video.plannedPublishDate < today;
+
+// Day keys → [{ video, field }] for every dated field of every video.
+export function eventsByDay(videos) {
+  const map = new Map();
+  for (const video of videos) for (const field of DATE_FIELDS) {
+    const key = video[field.key];
+    if (!key) continue;
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push({ video, field });
+  }
+  return map;
+}
+
+/**
+ * Days from today onwards that come more than `maxDays` after the previous
+ * publish, up to the next one: a gap runs from prev + maxDays + 1 to the day
+ * before the next publish, or open-ended after the last. A video counts on
+ * its actual publish date, else its planned one.
+ * Returns [{ from, to }] of day keys (inclusive; `to` null when open-ended).
+ */
+export function publishingGaps(videos, maxDays, today = todayKey()) {
+  const dates = [...new Set(videos.map(v => v.publishedDate || v.plannedPublishDate).filter(Boolean))].sort();
+  if (!dates.length) return [];
+  const past = dates.filter(d => d < today);
+  let prev = past.length ? past[past.length - 1] : today;
+  const gaps = [];
+  for (const next of [...dates.filter(d => d >= today), null]) {
+    const late = toDateKey(addDays(fromDateKey(prev), maxDays + 1));
+    const from = late < today ? today : late;
+    const to = next ? toDateKey(addDays(fromDateKey(next), -1)) : null;
+    if (to == null || from <= to) gaps.push({ from, to });
+    if (next) prev = next;
+  }
+  return gaps;
+}
+
+export const inGap = (gaps, key) => gaps.some(g => key >= g.from && (g.to == null || key <= g.to));
+
+// ── iCalendar export (RFC 5545) ─────────────────────────────────────────────
+
+const icsText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Lines longer than 75 octets are folded with CRLF + space.
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = "", size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; size = 0; }
+    cur += ch; size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+const icsDate = (key) => key.replace(/-/g, "");
+const icsStamp = (iso) => iso.replace(/[-:]/g, "").replace(/\.\d+/, "");
+
+export function toICS(videos, { name = "YouTube Content Studio" } = {}) {
+  const stamp = icsStamp(new Date().toISOString());
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//YouTube Content Studio//Schedule//EN", "CALSCALE:GREGORIAN", `X-WR-CALNAME:${icsText(name)}`];
+  for (const video of videos) for (const field of DATE_FIELDS) {
+    const key = video[field.key];
+    if (!key) continue;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${video.id}-${field.key}@yt-content-studio`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(key)}`,
+      `DTEND;VALUE=DATE:${icsDate(toDateKey(addDays(fromDateKey(key), 1)))}`,
+      `SUMMARY:${icsText(`${field.label}: ${video.title || "Untitled Video"}`)}`,
+    );
+    if (video.tags?.length) lines.push(`CATEGORIES:${video.tags.map(icsText).join(",")}`);
+    if (video.content) lines.push(`DESCRIPTION:${icsText(video.content)}`);
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,97 @@
+import { addDays, fromDateKey, startOfWeek, toDateKey, todayKey } from "./calendar.js";
+import { scriptStats } from "./script.js";
+import { DAY_MS } from "./util.js";
+import { firstStatus, statusesFor } from "./workflow.js";
+
+// Channel analytics for the dashboard. Everything is computed from the live
+// items of one channel; nothing here touches state.
+
+// Videos per workflow status, in workflow order. Statuses the workflow no
+// longer lists are summed up as "Other".
+export function statusCounts(videos, workflows) {
+  const statuses = statusesFor(workflows, "video");
+  const rows = statuses.map(s => ({ ...s, count: videos.filter(v => v.status === s.id).length }));
+  const other = videos.filter(v => !statuses.some(s => s.id === v.status)).length;
+  if (other) rows.push({ id: null, label: "Other", color: "#6b7280", count: other });
+  return rows;
+}
+
+/**
+ * Average time spent in each video status, from `statusHistory`. Only stays
+ * that ended count; a seeded entry is only trusted for the workflow's first
+ * status, since that's the one an item is created in.
+ * Returns [{ ...status, stays, avgMs }] in workflow order (avgMs null without stays).
+ */
+export function timeInStatus(videos, workflows) {
+  const first = firstStatus(workflows, "video");
+  const spans = new Map();
+  for (const v of videos) {
+    const history = Array.isArray(v.statusHistory) ? v.statusHistory : [];
+    for (let i = 0; i + 1 < history.length; i++) {
+      const entry = history[i];
+      if (entry.seeded && entry.status !== first) continue;
+      const ms = Date.parse(history[i + 1].at) - Date.parse(entry.at);
+      if (!(ms >= 0)) continue;
+      const s = spans.get(entry.status) || { total: 0, stays: 0 };
+      s.total += ms; s.stays++;
+      spans.set(entry.status, s);
+    }
+  }
+  return statusesFor(workflows, "video").map(s => {
+    const span = spans.get(s.id);
+    return { ...s, stays: span?.stays || 0, avgMs: span ? span.total / span.stays : null };
+  });
+}
+
+// Videos without a script, a thumbnail or a chosen headline (one that still exists).
+export function missingParts(items) {
+  const videos = items.filter(i => i.type === "video");
+  const has = (type) => new Set(items.filter(i => i.type === type).map(i => i.parentId));
+  const scripts = has("script"), thumbs = has("thumbnail");
+  const headlineIds = new Set(items.filter(i => i.type === "headline").map(i => i.id));
+  return {
+    script: videos.filter(v => !scripts.has(v.id)),
+    thumbnail: videos.filter(v => !thumbs.has(v.id)),
+    headline: videos.filter(v => !headlineIds.has(v.chosenHeadlineId)),
+  };
+}
+
+// Spoken words and estimated runtime over every script of the channel.
+export function scriptTotals(items, wpm) {
+  const scripts = items.filter(i => i.type === "script");
+  const stats = scripts.map(s => scriptStats(s, wpm));
+  return {
+    scripts: scripts.length,
+    words: stats.reduce((n, s) => n + s.total, 0),
+    seconds: stats.reduce((n, s) => n + s.seconds, 0),
+  };
+}
+
+/**
+ * Publishing cadence in weeks (Monday first): `weeks` weeks up to the current
+ * one plus `ahead` weeks of plans. A video counts on its publish date, or as
+ * planned on its planned publish date while it isn't published.
+ * Returns { buckets: [{ from, published, planned }], avgGapDays } where the
+ * gap is the mean distance between consecutive publish dates.
+ */
+export function publishingCadence(videos, { weeks = 26, ahead = 8, today = todayKey() } = {}) {
+  const start = addDays(startOfWeek(fromDateKey(today)), -7 * (weeks - 1));
+  const buckets = Array.from({ length: weeks + ahead }, (_, i) => ({ from: toDateKey(addDays(start, 7 * i)), published: 0, planned: 0 }));
+  const bucketOf = (key) => buckets[Math.floor(Math.round((fromDateKey(key) - start) / DAY_MS) / 7)]; // rounded: DST days aren't 24 h
+  for (const v of videos) {
+    if (v.publishedDate) { const b = bucketOf(v.publishedDate); if (b) b.published++; }
+    else if (v.plannedPublishDate) { const b = bucketOf(v.plannedPublishDate); if (b) b.planned++; }
+  }
+  const dates = videos.map(v => v.publishedDate).filter(Boolean).sort();
+  const avgGapDays = dates.length > 1 ? Math.round((fromDateKey(dates[dates.length - 1]) - fromDateKey(dates[0])) / DAY_MS) / (dates.length - 1) : null;
+  return { buckets, avgGapDays };
+}
+
+// "45 min", "5 h", "3.5 days".
+export function formatSpan(ms) {
+  const hours = ms / 3600000;
+  if (hours < 1) return `${Math.max(1, Math.round(ms / 60000))} min`;
+  if (hours < 48) return `${Math.round(hours)} h`;
+  const days = hours / 24;
+  return `${days < 10 ? days.toFixed(1) : Math.round(days)} days`;
+}
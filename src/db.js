@@ -0,0 +1,342 @@
+import { DAY_MS, nowISO, uid } from "./util.js";
+import { snapshotsForSave } from "./revisions.js";
+import { LEGACY_VIDEO_STATUSES } from "./workflow.js";
+import { DEFAULT_WORKSPACE, newWorkspace, workspaceOf } from "./workspaces.js";
+
+// IndexedDB storage layer.
+// Items are stored one record per object so a save only writes what changed.
+// DB_VERSION is also the item schema version: v1–v8 were the localStorage
+// builds (keys `yt_content_studio_v1` … `_v8`), v9 is the first IndexedDB one.
+// v10 adds the `blobs` store for thumbnail images, v11 the `revisions` store,
+// v12 the `templates` store, v13 the `workspaces` store (items and templates
+// gain a `workspaceId`), v14 the `tombstones` store used by sync, v15 gives
+// items a `statusHistory` (see workflow.js), v16 moves videos off the old
+// draft/final statuses.
+
+const DB_NAME = "yt_content_studio";
+export const DB_VERSION = 16;
+export const MAX_REVISIONS = 50; // per item; older snapshots are pruned on save
+const TOMBSTONE_DAYS = 90; // unsynced purges older than this are forgotten
+const LEGACY_PREFIX = "yt_content_studio_v";
+
+// Record upgrades keyed by the version they upgrade *from*. The old
+// localStorage blobs were never validated, so every step is defensive.
+// Script shape since v8: hook fields plus `sections` with ids, names and text.
+const normaliseScript = (r) => r.type !== "script" ? r : {
+  ...r,
+  hookPlanning: r.hookPlanning ?? "",
+  hookContent: r.hookContent ?? "",
+  sections: (Array.isArray(r.sections) ? r.sections : []).filter(s => s && typeof s === "object")
+    .map((s, i) => ({ ...s, id: s.id || uid(), name: s.name || `Section ${i + 1}`, planning: s.planning ?? "", content: s.content ?? "" })),
+};
+
+const MIGRATIONS = {
+  1: (r) => ({ ...r, id: r.id ? String(r.id) : uid(), parentId: r.parentId == null ? r.parentId : String(r.parentId), type: r.type || "video" }),
+  2: (r) => ({ ...r, tags: Array.isArray(r.tags) ? r.tags : String(r.tags || "").split(",").map(s => s.trim()).filter(Boolean) }),
+  3: (r) => ({ ...r, status: r.status || "idea", parentId: r.parentId ?? null }),
+  4: (r) => ({ ...r, title: r.title ?? "", content: r.content ?? "" }),
+  5: (r) => { const createdAt = r.createdAt || nowISO(); return { ...r, createdAt, updatedAt: r.updatedAt || createdAt }; },
+  6: (r) => r.type !== "script" ? r : { ...r, sections: Array.isArray(r.sections) ? r.sections : [] },
+  7: normaliseScript,
+  8: normaliseScript, // the v8 build still created scripts without these fields
+  9: (r) => r, // v10 only added the blobs store
+  10: (r) => r, // v11 only added the revisions store
+  11: (r) => r, // v12 only added the templates store
+  12: (r) => r.workspaceId ? r : { ...r, workspaceId: DEFAULT_WORKSPACE },
+  13: (r) => r, // v14 only added the tombstones store
+  14: (r) => Array.isArray(r.statusHistory) ? r : { ...r, statusHistory: [{ status: r.status, at: r.createdAt, seeded: true }] },
+  15: (r) => {
+    if (r.type !== "video") return r;
+    const map = (status) => LEGACY_VIDEO_STATUSES[status] || status;
+    const history = (Array.isArray(r.statusHistory) ? r.statusHistory : []).map(h => ({ ...h, status: map(h.status) }))
+      .filter((h, i, list) => !i || h.status !== list[i - 1].status); // draft → scripted would repeat a step
+    return { ...r, status: map(r.status), statusHistory: history };
+  },
+};
+
+export function migrateRecord(record, fromVersion) {
+  let r = record;
+  for (let v = fromVersion; v < DB_VERSION; v++) if (MIGRATIONS[v]) r = MIGRATIONS[v](r);
+  return r;
+}
+
+// Reads every legacy localStorage blob, oldest first, so a record present in
+// several of them ends up with its newest copy.
+function readLegacy() {
+  const byId = new Map();
+  for (let v = 1; v < 9; v++) {
+    let parsed = null;
+    try { parsed = JSON.parse(window.localStorage.getItem(LEGACY_PREFIX + v) || "null"); } catch { continue; }
+    if (!Array.isArray(parsed)) continue;
+    for (const rec of parsed) {
+      if (!rec || typeof rec !== "object") continue;
+      const migrated = migrateRecord(rec, v);
+      byId.set(migrated.id, migrated);
+    }
+  }
+  return [...byId.values()];
+}
+
+// Once the import has committed the legacy blobs only take up localStorage quota.
+function clearLegacy() {
+  for (let v = 1; v < 9; v++) {
+    try { window.localStorage.removeItem(LEGACY_PREFIX + v); } catch { /* storage blocked: nothing to free */ }
+  }
+}
+
+function migrateStore(store, fromVersion) {
+  store.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    cursor.update(migrateRecord(cursor.value, fromVersion));
+    cursor.continue();
+  };
+}
+
+function upgrade(db, tx, from) {
+  if (from < 9) {
+    const items = db.createObjectStore("items", { keyPath: "id" });
+    db.createObjectStore("meta");
+    for (const rec of readLegacy()) items.put(rec); // already at DB_VERSION
+    tx.objectStore("meta").put(nowISO(), "legacyImportedAt");
+    tx.addEventListener("complete", clearLegacy);
+  } else {
+    migrateStore(tx.objectStore("items"), from);
+  }
+  if (from < 10) db.createObjectStore("blobs");
+  if (from < 11) db.createObjectStore("revisions", { keyPath: "id" }).createIndex("itemId", "itemId");
+  if (from < 12) db.createObjectStore("templates", { keyPath: "id" });
+  if (from < 13) {
+    db.createObjectStore("workspaces", { keyPath: "id" }).put(newWorkspace("My channel", DEFAULT_WORKSPACE));
+    if (from >= 12) tx.objectStore("templates").openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      if (!cursor.value.workspaceId) cursor.update({ ...cursor.value, workspaceId: DEFAULT_WORKSPACE });
+      cursor.continue();
+    };
+  }
+  if (from < 14) db.createObjectStore("tombstones", { keyPath: ["workspaceId", "id"] }).createIndex("workspaceId", "workspaceId");
+}
+
+let dbPromise = null;
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available in this browser")); return; }
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (e) => upgrade(req.result, req.transaction, e.oldVersion);
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => db.close(); // let a newer tab upgrade
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+const done = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+});
+
+const result = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+export async function loadItems() {
+  const db = await openDB();
+  return result(db.transaction("items").objectStore("items").getAll());
+}
+
+// The current records for `ids`, in the same order; null where one no longer exists.
+export async function getItems(ids) {
+  const db = await openDB();
+  const store = db.transaction("items").objectStore("items");
+  return Promise.all(ids.map(id => result(store.get(id)).then(r => r ?? null)));
+}
+
+// Writes changed records and deletes removed ids in a single transaction,
+// along with tombstones ({ id, workspaceId, purgedAt }) for records that left
+// a workspace. Writing a record clears any tombstone for it in its workspace.
+export async function writeItems(put, del = [], tombstones = []) {
+  const db = await openDB();
+  const tx = db.transaction(["items", "tombstones"], "readwrite");
+  const store = tx.objectStore("items");
+  const graves = tx.objectStore("tombstones");
+  for (const item of put) { store.put(item); graves.delete([workspaceOf(item), item.id]); }
+  for (const id of del) store.delete(id);
+  for (const t of tombstones) graves.put(t);
+  return done(tx);
+}
+
+export async function loadTombstones(workspaceId) {
+  const db = await openDB();
+  return result(db.transaction("tombstones").objectStore("tombstones").index("workspaceId").getAll(workspaceId));
+}
+
+// Drops tombstones once the server has them, unless they were renewed since.
+export async function clearTombstones(list) {
+  const db = await openDB();
+  const tx = db.transaction("tombstones", "readwrite");
+  const store = tx.objectStore("tombstones");
+  for (const t of list) store.get([t.workspaceId, t.id]).onsuccess = (e) => {
+    if (e.target.result?.purgedAt === t.purgedAt) store.delete([t.workspaceId, t.id]);
+  };
+  return done(tx);
+}
+
+export async function pruneTombstones(now = Date.now()) {
+  const db = await openDB();
+  const cutoff = new Date(now - TOMBSTONE_DAYS * DAY_MS).toISOString();
+  const tx = db.transaction("tombstones", "readwrite");
+  tx.objectStore("tombstones").openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    if (cursor.value.purgedAt < cutoff) cursor.delete();
+    cursor.continue();
+  };
+  return done(tx);
+}
+
+// Per server and workspace: { cursor, synced } from the last sync round (see sync.js).
+export async function loadSyncState(key) {
+  const db = await openDB();
+  return result(db.transaction("meta").objectStore("meta").get(`sync:${key}`));
+}
+
+export async function saveSyncState(key, state) {
+  const db = await openDB();
+  const tx = db.transaction("meta", "readwrite");
+  tx.objectStore("meta").put(state, `sync:${key}`);
+  return done(tx);
+}
+
+// Binary attachments (thumbnail images), keyed by a generated id the item stores.
+export async function putBlob(blob, id = uid()) {
+  const db = await openDB();
+  const tx = db.transaction("blobs", "readwrite");
+  tx.objectStore("blobs").put(blob, id);
+  await done(tx);
+  return id;
+}
+
+export async function getBlob(id) {
+  const db = await openDB();
+  return result(db.transaction("blobs").objectStore("blobs").get(id));
+}
+
+// Deletes blobs that neither `referenced` (the current items) nor any
+// revision snapshot points at. Run at startup and only when no other tab is
+// open, so no undo history can bring a reference back.
+export async function pruneBlobs(referenced) {
+  const db = await openDB();
+  const tx = db.transaction(["blobs", "revisions"], "readwrite");
+  const keep = new Set(referenced);
+  tx.objectStore("revisions").getAll().onsuccess = (e) => {
+    for (const r of e.target.result) for (const id of [r.item?.imageId, r.item?.renderId]) if (id) keep.add(id);
+    const store = tx.objectStore("blobs");
+    store.openKeyCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      if (!keep.has(cursor.key)) store.delete(cursor.key);
+      cursor.continue();
+    };
+  };
+  return done(tx);
+}
+
+// Saves a snapshot of `item` – and of `previous`, the copy it replaces, while
+// the item has no snapshots yet (see revisions.js) – and drops its oldest
+// snapshots beyond MAX_REVISIONS.
+export async function addRevision(item, previous = null) {
+  const db = await openDB();
+  const tx = db.transaction("revisions", "readwrite");
+  const store = tx.objectStore("revisions");
+  const index = store.index("itemId");
+  index.count(item.id).onsuccess = (e) => {
+    for (const snap of snapshotsForSave(item, previous, e.target.result > 0)) {
+      store.put({ id: uid(), itemId: snap.id, savedAt: snap.updatedAt || nowISO(), item: snap });
+    }
+    index.getAll(item.id).onsuccess = (e) => {
+      const list = e.target.result.sort((a, b) => a.savedAt.localeCompare(b.savedAt));
+      list.slice(0, Math.max(0, list.length - MAX_REVISIONS)).forEach(r => store.delete(r.id));
+    };
+  };
+  return done(tx);
+}
+
+// Snapshots of one item, newest first.
+export async function listRevisions(itemId) {
+  const db = await openDB();
+  const list = await result(db.transaction("revisions").objectStore("revisions").index("itemId").getAll(itemId));
+  return list.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+// Deletes the history of items that no longer exist (purged from the trash).
+export async function pruneRevisions(existingIds) {
+  const db = await openDB();
+  const tx = db.transaction("revisions", "readwrite");
+  const store = tx.objectStore("revisions");
+  store.openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    if (!existingIds.has(cursor.value.itemId)) cursor.delete();
+    cursor.continue();
+  };
+  return done(tx);
+}
+
+export async function loadTemplates() {
+  const db = await openDB();
+  return result(db.transaction("templates").objectStore("templates").getAll());
+}
+
+export async function saveTemplates(templates) {
+  const db = await openDB();
+  const tx = db.transaction("templates", "readwrite");
+  for (const t of templates) tx.objectStore("templates").put(t);
+  return done(tx);
+}
+
+export async function deleteTemplate(id) {
+  const db = await openDB();
+  const tx = db.transaction("templates", "readwrite");
+  tx.objectStore("templates").delete(id);
+  return done(tx);
+}
+
+export async function loadWorkspaces() {
+  const db = await openDB();
+  return result(db.transaction("workspaces").objectStore("workspaces").getAll());
+}
+
+export async function saveWorkspaces(workspaces) {
+  const db = await openDB();
+  const tx = db.transaction("workspaces", "readwrite");
+  for (const w of workspaces) tx.objectStore("workspaces").put(w);
+  return done(tx);
+}
+
+// Removes a workspace and its templates. Its items go through writeItems.
+export async function deleteWorkspace(id) {
+  const db = await openDB();
+  const tx = db.transaction(["workspaces", "templates"], "readwrite");
+  tx.objectStore("workspaces").delete(id);
+  tx.objectStore("templates").openCursor().onsuccess = (e) => {
+    const cursor = e.target.result;
+    if (!cursor) return;
+    if (cursor.value.workspaceId === id) cursor.delete();
+    cursor.continue();
+  };
+  return done(tx);
+}
+
+export function describeStorageError(err) {
+  if (err?.name === "QuotaExceededError") return "Storage is full – export a backup and remove old projects to keep saving.";
+  return `Couldn't save changes: ${err?.message || err}`;
+}
@@ -0,0 +1,101 @@
+// Word-level diff (Myers' O(ND) algorithm, capped – see MAX_EDITS) and the
+// field pairing used to compare two revisions of an item.
+
+const tokens = (text) => String(text || "").split(/(\s+)/).filter(Boolean);
+
+// Past this many edits the trace (O(D²) memory) gets too big: a rewrite of a
+// long script would freeze the tab, so callers fall back to a coarser diff.
+const MAX_EDITS = 2000;
+
+// Shortest edit script between two token arrays as [{ op: "eq" | "add" | "del", text }],
+// or null when it needs more than `maxEdits` edits.
+function myers(a, b, maxEdits = MAX_EDITS) {
+  const n = a.length, m = b.length, max = n + m;
+  const v = new Int32Array(2 * max + 2);
+  const trace = []; // trace[d] holds v[-d..d] as it was before step d
+  outer:
+  for (let d = 0; d <= max; d++) {
+    if (d > maxEdits) return null;
+    trace.push(v.slice(max - d, max + d + 1));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[max + k - 1] < v[max + k + 1]) ? v[max + k + 1] : v[max + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) { x++; y++; }
+      v[max + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+  // Walk the trace backwards to recover the edits.
+  const ops = [];
+  let x = n, y = m;
+  for (let d = trace.length - 1; d >= 0 && (x > 0 || y > 0); d--) {
+    const vd = trace[d], k = x - y;
+    const prevK = k === -d || (k !== d && vd[d + k - 1] < vd[d + k + 1]) ? k + 1 : k - 1;
+    const prevX = d ? vd[d + prevK] : 0, prevY = prevX - prevK;
+    while (x > prevX && y > prevY) ops.push({ op: "eq", text: a[--x] }), y--;
+    if (d > 0) ops.push(x === prevX ? { op: "add", text: b[--y] } : { op: "del", text: a[--x] });
+  }
+  return ops.reverse();
+}
+
+// Word diff, else a line diff, else the whole text replaced.
+function editScript(a, b) {
+  const words = myers(a, b);
+  if (words) return words;
+  const before = a.join(""), after = b.join("");
+  const lines = myers(before.split(/(?<=\n)/), after.split(/(?<=\n)/));
+  return lines || [{ op: "del", text: before }, { op: "add", text: after }].filter(o => o.text);
+}
+
+// Merges runs of the same op so the output renders as few spans as possible.
+export function wordDiff(before, after) {
+  const a = tokens(before), b = tokens(after);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+  const ops = [
+    ...a.slice(0, start).map(text => ({ op: "eq", text })),
+    ...editScript(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(text => ({ op: "eq", text })),
+  ];
+  return ops.reduce((out, o) => {
+    const last = out[out.length - 1];
+    if (last && last.op === o.op) last.text += o.text;
+    else out.push({ ...o });
+    return out;
+  }, []);
+}
+
+// Comparable fields of an item, keyed so the same field lines up across
+// revisions. Script sections pair by id, so renames and reorders still match.
+function fieldsOf(item) {
+  const map = new Map([
+    ["title", { label: "Title", text: item.title }],
+    ["status", { label: "Status", text: item.status }],
+    ["tags", { label: "Tags", text: (item.tags || []).join(", ") }],
+    ["content", { label: item.type === "headline" ? "Headline" : "Notes", text: item.content }],
+  ]);
+  if (item.type === "script") {
+    map.set("hookPlanning", { label: "Hook – planning", text: item.hookPlanning });
+    map.set("hookContent", { label: "Hook", text: item.hookContent });
+    (item.sections || []).forEach((s, i) => {
+      const name = s.name || `Section ${i + 1}`;
+      const key = `section:${s.id || i}`;
+      map.set(`${key}:name`, { label: `${name} – name`, text: s.name });
+      map.set(`${key}:planning`, { label: `${name} – planning`, text: s.planning });
+      map.set(`${key}:content`, { label: name, text: s.content });
+    });
+  }
+  return map;
+}
+
+// [{ key, label, parts, changed }] for every field present in either version.
+export function diffItems(before, after) {
+  const a = fieldsOf(before), b = fieldsOf(after);
+  const keys = [...new Set([...a.keys(), ...b.keys()])];
+  return keys.map(key => {
+    const x = a.get(key)?.text || "", y = b.get(key)?.text || "";
+    return { key, label: (b.get(key) || a.get(key)).label, parts: wordDiff(x, y), changed: x !== y };
+  });
+}
@@ -0,0 +1,63 @@
+// Headline heuristics. A headline item keeps its text in `content`; the
+// chosen one is referenced from its video as `chosenHeadlineId`.
+
+export const TITLE_LIMIT = 100; // YouTube rejects longer titles
+export const VISIBLE_LIMIT = 60; // roughly where search and feed truncate
+
+const STOP_WORDS = new Set("a an and are as at be by for from how i in is it my of on or so that the this to was what why with you your".split(" "));
+
+export const headlineText = (h) => (h?.content || h?.title || "").trim();
+
+export const chosenHeadline = (video, headlines) => headlines.find(h => h.id === video?.chosenHeadlineId) || null;
+
+// The title a video would go out with: its chosen headline, else the working title.
+export const displayTitle = (video, headlines) => headlineText(chosenHeadline(video, headlines)) || video?.title || "";
+
+const words = (text) => (text.toLowerCase().match(/[\p{L}\p{N}']+/gu) || []).filter(w => !STOP_WORDS.has(w));
+
+export function capsRatio(text) {
+  const letters = text.match(/\p{L}/gu) || [];
+  if (!letters.length) return 0;
+  return letters.filter(c => c !== c.toLowerCase()).length / letters.length;
+}
+
+// Jaccard overlap of the significant words of two headlines, 0–1.
+export function similarity(a, b) {
+  const x = new Set(words(a)), y = new Set(words(b));
+  if (!x.size || !y.size) return 0;
+  let shared = 0;
+  for (const w of x) if (y.has(w)) shared++;
+  return shared / (x.size + y.size - shared);
+}
+
+export const missingKeywords = (text, tags = []) => tags.filter(t => t.trim() && !text.toLowerCase().includes(t.trim().toLowerCase()));
+
+/**
+ * Checks one headline against the limits, its siblings and the video's tags.
+ * Returns { length, capsRatio, score (0–100), checks: [{ level: "ok" | "warn" | "error", message }] }.
+ */
+export function analyzeHeadline(text, siblings = [], tags = []) {
+  const checks = [];
+  let score = 100;
+  const length = [...text].length;
+
+  if (!length) return { length, capsRatio: 0, score: 0, checks: [{ level: "error", message: "Empty headline" }] };
+  if (length > TITLE_LIMIT) { checks.push({ level: "error", message: `${length - TITLE_LIMIT} characters over YouTube's ${TITLE_LIMIT}-character limit` }); score -= 40; }
+  else if (length > VISIBLE_LIMIT) { checks.push({ level: "warn", message: `Truncated after ~${VISIBLE_LIMIT} characters in search and feeds` }); score -= 15; }
+  else checks.push({ level: "ok", message: "Fits without truncation" });
+  if (length < 20) { checks.push({ level: "warn", message: "Very short – there's room to say more" }); score -= 10; }
+
+  const caps = capsRatio(text);
+  if (caps > 0.5) { checks.push({ level: "warn", message: `${Math.round(caps * 100)}% capitals – reads as shouting` }); score -= 20; }
+
+  for (const other of siblings) {
+    const sim = similarity(text, other);
+    if (sim >= 0.6) { checks.push({ level: "warn", message: `Very similar to “${other}”` }); score -= 15; }
+  }
+
+  const missing = missingKeywords(text, tags);
+  if (missing.length) { checks.push({ level: "warn", message: `Missing keywords: ${missing.join(", ")}` }); score -= Math.min(30, missing.length * 10); }
+  else if (tags.length) checks.push({ level: "ok", message: "Uses all of the video's tags" });
+
+  return { length, capsRatio: caps, score: Math.max(0, score), checks };
+}
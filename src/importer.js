@@ -0,0 +1,134 @@
+import { DATE_FIELDS } from "./calendar.js";
+import { restoreFromTrash } from "./trash.js";
+import { nowISO } from "./util.js";
+
+// Import validation and planning. Nothing here touches state: `planImport`
+// returns what would change so the UI can preview it before committing.
+
+export const ITEM_TYPES = ["video", "script", "thumbnail", "headline"];
+
+const isStr = (v) => typeof v === "string";
+const isDate = (v) => isStr(v) && !Number.isNaN(Date.parse(v));
+
+// Returns a list of problems with one record; an empty list means it's valid.
+export function checkItem(r) {
+  if (!r || typeof r !== "object" || Array.isArray(r)) return ["not an object"];
+  const errs = [];
+  if (!isStr(r.id) || !r.id) errs.push("missing id");
+  if (!ITEM_TYPES.includes(r.type)) errs.push(`unknown type ${JSON.stringify(r.type)}`);
+  if (r.type === "video" && r.parentId != null) errs.push("video must not have a parentId");
+  if (r.type && r.type !== "video" && (!isStr(r.parentId) || !r.parentId)) errs.push("missing parentId");
+  for (const k of ["title", "content", "status", "workspaceId"]) if (r[k] != null && !isStr(r[k])) errs.push(`${k} must be a string`);
+  if (r.tags != null && (!Array.isArray(r.tags) || !r.tags.every(isStr))) errs.push("tags must be a list of strings");
+  for (const k of ["createdAt", "updatedAt", "deletedAt"]) if (r[k] != null && !isDate(r[k])) errs.push(`${k} is not a date`);
+  if (r.deletedWith != null && !isStr(r.deletedWith)) errs.push("deletedWith must be a string");
+  if (r.statusHistory != null && (!Array.isArray(r.statusHistory) || !r.statusHistory.every(h => h && isStr(h.status) && isDate(h.at)))) errs.push("statusHistory must be a list of { status, at }");
+  for (const { key } of DATE_FIELDS) if (r[key] != null && !(isStr(r[key]) && /^\d{4}-\d{2}-\d{2}$/.test(r[key]))) errs.push(`${key} must be a YYYY-MM-DD date`);
+  if (r.type === "script") {
+    for (const k of ["hookPlanning", "hookContent"]) if (r[k] != null && !isStr(r[k])) errs.push(`${k} must be a string`);
+    if (r.sections != null) {
+      if (!Array.isArray(r.sections)) errs.push("sections must be a list");
+      else r.sections.forEach((s, i) => {
+        if (!s || typeof s !== "object") { errs.push(`section ${i + 1} is not an object`); return; }
+        for (const k of ["name", "planning", "content"]) if (s[k] != null && !isStr(s[k])) errs.push(`section ${i + 1} ${k} must be a string`);
+      });
+    }
+  }
+  return errs;
+}
+
+// Fills optional fields so imported (or pulled) records look like ones the app
+// created.
+export const normaliseItem = (r) => {
+  const createdAt = r.createdAt || nowISO();
+  const status = r.status || "idea";
+  return {
+    title: "", content: "", tags: [], ...r, status, parentId: r.parentId ?? null, createdAt, updatedAt: r.updatedAt || createdAt,
+    statusHistory: r.statusHistory || [{ status, at: createdAt, seeded: true }],
+  };
+};
+
+export const describeItem = (r) => `${r?.type || "item"} “${r?.title || r?.content || r?.id || "?"}”`;
+
+// A merged record keeps the local trash state unless it comes back live.
+const keepTrash = (r, existing) => {
+  if (!r.deletedAt) return r;
+  const { deletedAt, deletedWith, ...rest } = r;
+  return existing.deletedAt ? { ...rest, deletedAt: existing.deletedAt, deletedWith: existing.deletedWith } : rest;
+};
+
+// Why a child can't go into `byId` (the records after the import), or null.
+const orphaned = (r, byId) => {
+  if (r.type === "video") return null;
+  const parent = byId.get(r.parentId);
+  if (parent?.type !== "video") return "orphan – parent video not found";
+  if (parent.deletedAt && !r.deletedAt) return "parent video is in the trash";
+  return null;
+};
+
+/**
+ * Works out what importing `data` would do.
+ * mode "replace": the file becomes the whole workspace.
+ * mode "merge":   records are matched by id; the newer `updatedAt` wins, but
+ *                 only a live record from the file changes the trash state.
+ * Ids in `taken` (records that exist outside `current`, e.g. in another
+ * channel) are skipped rather than duplicated. Live children need a live
+ * parent video in the result.
+ * Returns { added, updated, skipped: [{ item, reason }], invalid: [{ index, label, errors }], removed, result }.
+ */
+export function planImport(current, data, mode, taken = new Set()) {
+  const invalid = [];
+  const seen = new Set();
+  const valid = [];
+  data.forEach((r, index) => {
+    const errors = checkItem(r);
+    if (!errors.length && seen.has(r.id)) errors.push("duplicate id in file");
+    if (errors.length) { invalid.push({ index, label: describeItem(r), errors }); return; }
+    seen.add(r.id);
+    valid.push(normaliseItem(r));
+  });
+
+  const skipped = [];
+  const free = valid.filter(r => {
+    if (!taken.has(r.id)) return true;
+    skipped.push({ item: r, reason: "id already used in another channel" });
+    return false;
+  });
+
+  // Checked against the finished result. Videos always fit, so no child loses its parent afterwards.
+  const fits = (byId) => (r) => {
+    const reason = orphaned(r, byId);
+    if (reason) skipped.push({ item: r, reason });
+    return !reason;
+  };
+
+  if (mode === "replace") {
+    const accepted = free.filter(fits(new Map(free.map(r => [r.id, r]))));
+    return { added: accepted, updated: [], skipped, invalid, removed: current.length, result: accepted };
+  }
+
+  const local = new Map(current.map(i => [i.id, i]));
+  const byId = new Map(local);
+  const candidates = [];
+  for (const r of free) {
+    const existing = local.get(r.id);
+    if (existing && !(Date.parse(r.updatedAt) > (Date.parse(existing.updatedAt || existing.createdAt) || 0))) {
+      skipped.push({ item: r, reason: "local copy is the same or newer" });
+      continue;
+    }
+    const merged = existing ? keepTrash(r, existing) : r;
+    candidates.push(merged);
+    byId.set(r.id, merged);
+  }
+  const accepted = new Set(candidates.filter(fits(byId)));
+  for (const r of candidates) {
+    if (accepted.has(r)) continue;
+    if (local.has(r.id)) byId.set(r.id, local.get(r.id)); else byId.delete(r.id);
+  }
+  const added = candidates.filter(r => accepted.has(r) && !local.has(r.id));
+  const updated = candidates.filter(r => accepted.has(r) && local.has(r.id));
+  let result = [...added, ...current.map(i => byId.get(i.id))];
+  // A record that comes back live brings back what went to the trash with it.
+  for (const r of updated) if (local.get(r.id).deletedAt && !r.deletedAt) result = restoreFromTrash(result, r.id, r.updatedAt);
+  return { added, updated, skipped, invalid, removed: 0, result };
+}
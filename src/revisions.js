@@ -0,0 +1,22 @@
+// Revision snapshots: what a save keeps (db.js stores them) and what
+// restoring one writes back (see HistoryPanel).
+
+// Snapshots for a save. An item without history yet – one created before
+// revisions existed, or never saved from an editor – also keeps the copy
+// being replaced, so its first save can't lose the original.
+export const snapshotsForSave = (saved, stored, hasHistory) => hasHistory || !stored ? [saved] : [stored, saved];
+
+// Fields that say where an item lives rather than what it says.
+const PLACEMENT_FIELDS = ["workspaceId", "parentId", "chosenHeadlineId", "deletedAt", "deletedWith", "createdAt", "statusHistory"];
+
+// The old `version`'s content on top of the `current` record. Placement stays
+// as it is now, so restoring can't move the item back to another channel or
+// video, or in or out of the trash.
+export function restoreRevision(current, version) {
+  const next = { ...version, id: current.id, updatedAt: current.updatedAt };
+  for (const key of PLACEMENT_FIELDS) {
+    if (key in current) next[key] = current[key];
+    else delete next[key];
+  }
+  return next;
+}
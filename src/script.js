@@ -0,0 +1,87 @@
+import { escapeHtml } from "./util.js";
+
+// Script helpers: word counts, spoken-duration estimates and exports.
+// A script is `hookPlanning`/`hookContent` plus ordered `sections[]` of
+// `{ id, name, planning, content }`. Only the content fields are spoken.
+
+export const DEFAULT_WPM = 150;
+export const MIN_WPM = 60;
+export const MAX_WPM = 300;
+export const clampWpm = (n) => Math.min(MAX_WPM, Math.max(MIN_WPM, Math.round(Number(n)) || DEFAULT_WPM));
+
+export const countWords = (text) => (String(text || "").match(/[\p{L}\p{N}'’-]+/gu) || []).length;
+
+export const sectionsOf = (script) => Array.isArray(script?.sections) ? script.sections : [];
+
+export const secondsFor = (words, wpm = DEFAULT_WPM) => Math.round(words / Math.max(1, wpm) * 60);
+
+export function scriptStats(script, wpm = DEFAULT_WPM) {
+  const hook = countWords(script?.hookContent);
+  const sections = sectionsOf(script).map(s => countWords(s.content));
+  const total = hook + sections.reduce((a, b) => a + b, 0);
+  return { hook, sections, total, seconds: secondsFor(total, wpm) };
+}
+
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  const h = Math.floor(s / 3600), m = Math.floor(s / 60) % 60, r = String(s % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${r}` : `${m}:${r}`;
+}
+
+// Hook first, then each section, skipping parts with nothing in them.
+export function scriptParts(script, includePlanning = false) {
+  const list = [{ name: "Hook", planning: script.hookPlanning, content: script.hookContent }, ...sectionsOf(script)];
+  return list
+    .map((p, i) => ({ name: p.name || `Section ${i}`, planning: includePlanning ? (p.planning || "").trim() : "", content: (p.content || "").trim() }))
+    .filter(p => p.planning || p.content);
+}
+
+export function toMarkdown(script, { includePlanning = false } = {}) {
+  const out = [`# ${script.title || "Untitled script"}`];
+  for (const p of scriptParts(script, includePlanning)) {
+    out.push("", `## ${p.name}`);
+    if (p.planning) out.push("", ...p.planning.split("\n").map(l => `> ${l}`));
+    if (p.content) out.push("", p.content);
+  }
+  return out.join("\n") + "\n";
+}
+
+export function toPlainText(script, { includePlanning = false } = {}) {
+  const title = script.title || "Untitled script";
+  const out = [title, "=".repeat(title.length)];
+  for (const p of scriptParts(script, includePlanning)) {
+    out.push("", p.name.toUpperCase());
+    if (p.planning) out.push(`[Notes: ${p.planning}]`);
+    if (p.content) out.push(p.content);
+  }
+  return out.join("\n") + "\n";
+}
+
+// A standalone page laid out for printing or "Save as PDF".
+export function toPrintableHtml(script, { includePlanning = false, wpm = DEFAULT_WPM } = {}) {
+  const stats = scriptStats(script, wpm);
+  const paras = (t) => t.split(/\n{2,}/).map(p => `<p>${escapeHtml(p).replace(/\n/g, "<br>")}</p>`).join("");
+  const body = scriptParts(script, includePlanning).map(p => `
+    <section>
+      <h2>${escapeHtml(p.name)}</h2>
+      ${p.planning ? `<div class="notes">${paras(p.planning)}</div>` : ""}
+      ${paras(p.content)}
+    </section>`).join("");
+  return `<!doctype html>
+<html lang="en"><head><meta charset="utf-8"><title>${escapeHtml(script.title || "Script")}</title>
+<style>
+  body{font:12pt/1.6 Georgia,serif;max-width:42em;margin:2em auto;padding:0 1em;color:#111}
+  h1{font:700 20pt system-ui,sans-serif;margin:0}
+  .meta{color:#555;font:10pt system-ui,sans-serif;margin:.3em 0 1.5em}
+  h2{font:700 13pt system-ui,sans-serif;border-bottom:1px solid #ccc;padding-bottom:2px;margin-top:1.6em}
+  section{break-inside:avoid-page}
+  .notes{color:#555;font-style:italic;border-left:3px solid #ccc;padding-left:.8em}
+  @page{margin:2cm}
+</style></head>
+<body>
+  <h1>${escapeHtml(script.title || "Untitled script")}</h1>
+  <div class="meta">${stats.total} words · ~${formatDuration(stats.seconds)} at ${wpm} wpm</div>
+  ${body}
+</body></html>
+`;
+}
@@ -0,0 +1,166 @@
+// Full-text search over every text field of every item, with a small query
+// language so searches can be shared as plain strings:
+//
+//   intro "call to action" type:script status:draft tag:tutorial
+//   after:2024-01-01 before:2024-06-30 date:publish
+//
+// Bare words must all match (prefix match, any field). `key:value` pairs are
+// filters; repeat a key to allow several values. `date:` picks which date
+// after/before compare: updated (default), created, film, publish. Values
+// that aren't a YYYY-MM-DD date or a known date source are ignored and
+// reported in `invalid`.
+
+const FILTER_KEYS = ["type", "status", "tag", "after", "before", "date"];
+const DATE_SOURCES = { updated: "updatedAt", created: "createdAt", film: "filmDate", publish: "plannedPublishDate" };
+
+const isDateKey = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v);
+
+const tokenize = (text) => String(text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+export function parseQuery(q) {
+  // `text` keeps the free-text parts as typed, so rewriting facets leaves them alone.
+  const parsed = { terms: [], text: "", type: [], status: [], tag: [], after: "", before: "", date: "updated", invalid: [] };
+  const text = [];
+  const re = /(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"|(\S+)/g;
+  let m;
+  while ((m = re.exec(q || ""))) {
+    const [, key, quoted, plain, phrase, word] = m;
+    const k = key?.toLowerCase();
+    if (k && FILTER_KEYS.includes(k)) {
+      const value = (quoted ?? plain).trim();
+      if (Array.isArray(parsed[k])) parsed[k].push(value.toLowerCase());
+      else if (k === "date" ? DATE_SOURCES[value] : isDateKey(value)) parsed[k] = value;
+      else parsed.invalid.push(m[0]);
+    } else {
+      text.push(m[0]);
+      const raw = phrase ?? word ?? m[0];
+      const tokens = tokenize(raw);
+      if (tokens.length) parsed.terms.push(phrase != null ? { phrase: raw.toLowerCase(), tokens } : { tokens });
+    }
+  }
+  parsed.text = text.join(" ");
+  return parsed;
+}
+
+const quote = (v) => /[\s"]/.test(v) ? `"${v.replace(/"/g, "")}"` : v;
+
+// Facets are rewritten from `p`; free text goes back as typed. Invalid
+// values are dropped.
+export function formatQuery(p) {
+  const out = p.text ? [p.text] : [];
+  for (const k of ["type", "status", "tag"]) for (const v of p[k]) out.push(`${k}:${quote(v)}`);
+  if (p.after) out.push(`after:${p.after}`);
+  if (p.before) out.push(`before:${p.before}`);
+  if ((p.after || p.before) && p.date !== "updated") out.push(`date:${p.date}`);
+  return out.join(" ");
+}
+
+export const isEmptyQuery = (p) => !p.terms.length && !p.type.length && !p.status.length && !p.tag.length && !p.after && !p.before;
+
+// Every searchable field of an item as { label, text }.
+export function itemFields(item) {
+  const fields = [
+    { label: "Title", text: item.title },
+    { label: item.type === "headline" ? "Headline" : "Notes", text: item.content },
+    { label: "Tags", text: (item.tags || []).join(", ") },
+    { label: "Status", text: item.status },
+  ];
+  if (item.type === "script") {
+    fields.push({ label: "Hook planning", text: item.hookPlanning }, { label: "Hook", text: item.hookContent });
+    (item.sections || []).forEach((s, i) => {
+      const name = s.name || `Section ${i + 1}`;
+      fields.push({ label: `${name} – name`, text: s.name }, { label: `${name} – planning`, text: s.planning }, { label: name, text: s.content });
+    });
+  }
+  return fields.filter(f => f.text);
+}
+
+/**
+ * Inverted index: token → Set of item ids. Terms match by prefix, so lookups
+ * walk the sorted token list; `fields` keeps per-item text for snippets.
+ */
+export function buildIndex(items) {
+  const postings = new Map();
+  const fields = new Map();
+  for (const item of items) {
+    const f = itemFields(item);
+    fields.set(item.id, f);
+    for (const { text } of f) for (const tok of tokenize(text)) {
+      if (!postings.has(tok)) postings.set(tok, new Set());
+      postings.get(tok).add(item.id);
+    }
+  }
+  return { postings, tokens: [...postings.keys()].sort(), fields };
+}
+
+// Ids containing a token that starts with `prefix`, via binary search on the sorted tokens.
+function idsWithPrefix(index, prefix) {
+  const { tokens, postings } = index;
+  let lo = 0, hi = tokens.length;
+  while (lo < hi) { const mid = (lo + hi) >> 1; if (tokens[mid] < prefix) lo = mid + 1; else hi = mid; }
+  const ids = new Set();
+  for (let i = lo; i < tokens.length && tokens[i].startsWith(prefix); i++) for (const id of postings.get(tokens[i])) ids.add(id);
+  return ids;
+}
+
+const intersect = (a, b) => new Set([...a].filter(x => b.has(x)));
+
+// Splits `text` into [{ text, hit }] around every match of the query words,
+// trimmed to a window around the first hit.
+export function highlight(text, parsed, radius = 60) {
+  const words = parsed.terms.flatMap(t => t.phrase != null ? [t.phrase] : t.tokens).filter(Boolean);
+  if (!words.length) return [{ text: text.length > radius * 2 ? text.slice(0, radius * 2) + "…" : text, hit: false }];
+  const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).sort((a, b) => b.length - a.length);
+  const re = new RegExp(`(${escaped.join("|")})`, "giu");
+  const first = text.search(re);
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, (first < 0 ? 0 : first) + radius * 2);
+  const slice = (start > 0 ? "…" : "") + text.slice(start, end) + (end < text.length ? "…" : "");
+  // split() with a capturing group puts the matches at odd indices
+  return slice.split(re).map((part, i) => ({ text: part, hit: i % 2 === 1 })).filter(p => p.text);
+}
+
+/**
+ * Runs a parsed query. Results are grouped under their video:
+ * [{ video, matches: [{ item, fields: [{ label, text }] }] }]. A child's tag
+ * filter also looks at its video's tags.
+ */
+export function search(index, items, parsed) {
+  const byId = new Map(items.map(i => [i.id, i]));
+  let ids = null;
+  for (const term of parsed.terms) {
+    let hit = term.tokens.reduce((acc, tok) => acc ? intersect(acc, idsWithPrefix(index, tok)) : idsWithPrefix(index, tok), null);
+    if (term.phrase != null) hit = new Set([...hit].filter(id => index.fields.get(id)?.some(f => f.text.toLowerCase().includes(term.phrase))));
+    ids = ids ? intersect(ids, hit) : hit;
+  }
+  const candidates = ids ? [...ids].map(id => byId.get(id)).filter(Boolean) : items;
+  const dateKey = DATE_SOURCES[parsed.date] || "updatedAt";
+
+  const matches = candidates.filter(item => {
+    const video = item.type === "video" ? item : byId.get(item.parentId);
+    if (parsed.type.length && !parsed.type.includes(item.type)) return false;
+    if (parsed.status.length && !parsed.status.includes(String(item.status).toLowerCase())) return false;
+    if (parsed.tag.length) {
+      const tags = new Set([...(item.tags || []), ...(item === video ? [] : video?.tags || [])].map(t => t.toLowerCase()));
+      if (!parsed.tag.every(t => tags.has(t))) return false;
+    }
+    if (parsed.after || parsed.before) {
+      const source = dateKey === "filmDate" || dateKey === "plannedPublishDate" ? video : item;
+      const d = String(source?.[dateKey] || "").slice(0, 10);
+      if (!d || (parsed.after && d < parsed.after) || (parsed.before && d > parsed.before)) return false;
+    }
+    return true;
+  });
+
+  const groups = new Map();
+  for (const item of matches) {
+    const videoId = item.type === "video" ? item.id : item.parentId;
+    const video = byId.get(videoId);
+    if (!video) continue;
+    if (!groups.has(videoId)) groups.set(videoId, { video, matches: [] });
+    const words = parsed.terms.flatMap(t => t.phrase != null ? [t.phrase] : t.tokens);
+    const fields = (index.fields.get(item.id) || []).filter(f => words.some(w => f.text.toLowerCase().includes(w)));
+    groups.get(videoId).matches.push({ item, fields });
+  }
+  return [...groups.values()];
+}
@@ -0,0 +1,62 @@
+// Keyboard shortcuts. A combo is a string like "Mod+Shift+Z": modifiers in a
+// fixed order, then the key. "Mod" is Ctrl, or ⌘ on a Mac. Each action can
+// have several combos; user overrides replace an action's whole list.
+
+export const SHORTCUT_ACTIONS = [
+  { id: "palette", label: "Command palette", defaults: ["Mod+K"] },
+  { id: "search", label: "Focus search", defaults: ["/"] },
+  { id: "newVideo", label: "New video", defaults: ["Alt+N"] },
+  { id: "undo", label: "Undo", defaults: ["Mod+Z"] },
+  { id: "redo", label: "Redo", defaults: ["Mod+Shift+Z", "Mod+Y"] },
+  { id: "viewList", label: "List view", defaults: ["Alt+1"] },
+  { id: "viewBoard", label: "Board view", defaults: ["Alt+2"] },
+  { id: "viewCalendar", label: "Calendar view", defaults: ["Alt+3"] },
+  { id: "viewDashboard", label: "Dashboard", defaults: ["Alt+4"] },
+  { id: "toggleTheme", label: "Toggle light/dark theme", defaults: ["Alt+T"] },
+  { id: "shortcuts", label: "Keyboard shortcuts", defaults: ["?"] },
+];
+
+// Left to the browser while typing, so text fields keep their own undo.
+const NATIVE_IN_TEXT = new Set(["undo", "redo"]);
+
+const MODIFIER_KEYS = new Set(["Control", "Meta", "Alt", "Shift", "AltGraph", "CapsLock"]);
+
+export const isMac = () => typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+export const isTextField = (el) => el instanceof HTMLElement && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+
+// The combo for a keydown, or null for a bare modifier. Letters and digits
+// come from `code`, so Alt+N still reads as N where Alt changes the character;
+// for other printable keys Shift is part of the character ("?" not "Shift+/").
+export function comboOf(e) {
+  if (MODIFIER_KEYS.has(e.key)) return null;
+  const letter = /^(Key|Digit)(.)$/.exec(e.code || "");
+  const key = letter ? letter[2] : e.key.length === 1 ? e.key.toUpperCase() : e.key;
+  const parts = [];
+  if (isMac() ? e.metaKey : e.ctrlKey) parts.push("Mod");
+  if (e.altKey) parts.push("Alt");
+  if (e.shiftKey && (letter || key.length > 1)) parts.push("Shift");
+  return [...parts, key === " " ? "Space" : key].join("+");
+}
+
+export const bindingsFor = (overrides = {}) => Object.fromEntries(SHORTCUT_ACTIONS.map(a => [a.id, overrides[a.id] || a.defaults]));
+
+// The action bound to this keydown, or null. Only Mod combos fire while typing
+// in a text field: Alt (Option on a Mac) is how many layouts type characters.
+export function actionFor(e, bindings) {
+  const combo = comboOf(e);
+  if (!combo) return null;
+  const typing = isTextField(e.target);
+  for (const [id, combos] of Object.entries(bindings)) {
+    if (!combos.includes(combo)) continue;
+    if (typing && (NATIVE_IN_TEXT.has(id) || !combo.startsWith("Mod+"))) return null;
+    return id;
+  }
+  return null;
+}
+
+export function formatCombo(combo) {
+  const mac = isMac();
+  const names = { Mod: mac ? "⌘" : "Ctrl", Alt: mac ? "⌥" : "Alt", Shift: mac ? "⇧" : "Shift", Escape: "Esc", ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" };
+  return combo.split(/\+(?!$)/).map(p => names[p] || p).join(mac ? "" : "+");
+}
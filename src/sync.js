@@ -0,0 +1,167 @@
+import { checkItem, normaliseItem } from "./importer.js";
+import { workspaceOf } from "./workspaces.js";
+
+// Optional sync of a workspace's items with a server.
+//
+// An adapter is any object with
+//   listWorkspaces()              → Promise<[{ id, name, createdAt }]>
+//   push(workspaceId, changes)    → Promise<{ cursor, rejected: { items, tombstones } }>
+//   pull(workspaceId, cursor)     → Promise<{ cursor, items, tombstones }>
+// where `changes` is { workspace, items, tombstones }. A tombstone
+// ({ id, purgedAt }) records that an item was deleted for good; items in the
+// Trash are ordinary items with `deletedAt` set. Every version of a record
+// competes on its timestamp (`updatedAt`, or `purgedAt` for a tombstone) and
+// the newest one wins, on the server and on the client alike. A push that
+// loses gets the server's winning version back in `rejected`, so the client
+// takes it over instead of believing its own copy was stored.
+//
+// `restAdapter` talks to server/index.js; `memoryAdapter` keeps everything in
+// memory for tests. Both share the document logic below, which the server
+// also uses for its on-disk files.
+
+export const stamp = (r) => Date.parse(r.purgedAt || r.updatedAt || r.createdAt) || 0;
+
+// Whether `incoming` should replace `existing`. On a tie a purge beats an
+// edit; otherwise ties keep what's there.
+export const wins = (incoming, existing) => {
+  if (!existing) return true;
+  const a = stamp(incoming), b = stamp(existing);
+  return a > b || (a === b && !!incoming.purgedAt && !existing.purgedAt);
+};
+
+// Server-side document for one workspace. `seq` goes up with every accepted
+// change and is what clients use as their pull cursor. `records` has no
+// prototype, so an item id like "__proto__" is stored like any other.
+export const emptyDoc = (workspace) => ({ workspace, seq: 0, records: Object.create(null) });
+
+// A document as read back from JSON, with `records` made prototype-free again.
+export const loadDoc = (data) => ({ ...data, records: Object.assign(Object.create(null), data.records) });
+
+// Stores `entry` unless the current record wins. Returns the current record
+// when it beat `entry` (not when the two are the same version).
+function accept(doc, id, entry) {
+  const current = doc.records[id];
+  const incoming = entry.item || entry.tombstone;
+  const existing = current && (current.item || current.tombstone);
+  if (existing && !wins(incoming, existing)) return wins(existing, incoming) ? current : null;
+  doc.seq += 1;
+  doc.records[id] = { ...entry, seq: doc.seq };
+  return null;
+}
+
+// Merges pushed changes into `doc` (mutating it).
+export function applyPush(doc, { workspace, items = [], tombstones = [] }) {
+  if (workspace?.name) doc.workspace = { ...doc.workspace, name: workspace.name };
+  const rejected = { items: [], tombstones: [] };
+  const reject = (current) => {
+    if (current?.item) rejected.items.push(current.item);
+    else if (current) rejected.tombstones.push(current.tombstone);
+  };
+  for (const item of items) if (item?.id) reject(accept(doc, item.id, { item }));
+  for (const t of tombstones) if (t?.id) reject(accept(doc, t.id, { tombstone: { id: t.id, purgedAt: t.purgedAt } }));
+  return { cursor: doc.seq, rejected };
+}
+
+export function changesSince(doc, since = 0) {
+  const items = [], tombstones = [];
+  for (const r of Object.values(doc.records)) {
+    if (r.seq <= since) continue;
+    if (r.item) items.push(r.item); else tombstones.push(r.tombstone);
+  }
+  return { cursor: doc.seq, items, tombstones };
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+// An in-process stand-in for the server. `docs` maps workspace id → document.
+export function memoryAdapter(docs = new Map()) {
+  return {
+    docs,
+    async listWorkspaces() { return [...docs.values()].map(d => copy(d.workspace)); },
+    async push(workspaceId, changes) {
+      if (!docs.has(workspaceId)) docs.set(workspaceId, emptyDoc(copy(changes.workspace || { id: workspaceId, name: workspaceId })));
+      return applyPush(docs.get(workspaceId), copy(changes));
+    },
+    async pull(workspaceId, cursor) {
+      const doc = docs.get(workspaceId);
+      return doc ? copy(changesSince(doc, cursor)) : { cursor: 0, items: [], tombstones: [] };
+    },
+  };
+}
+
+export function restAdapter(baseUrl, token = "") {
+  const root = String(baseUrl).replace(/\/+$/, "");
+  const request = async (path, init = {}) => {
+    const headers = { "Content-Type": "application/json", ...(token ? { Authorization: `Bearer ${token}` } : {}) };
+    const res = await fetch(root + path, { ...init, headers });
+    if (!res.ok) {
+      const body = await res.json().catch(() => null);
+      throw new Error(`Sync server answered ${res.status}${body?.error ? `: ${body.error}` : ""}`);
+    }
+    return res.json();
+  };
+  const changesPath = (id) => `/api/workspaces/${encodeURIComponent(id)}/changes`;
+  return {
+    listWorkspaces: () => request("/api/workspaces"),
+    push: (workspaceId, changes) => request(changesPath(workspaceId), { method: "POST", body: JSON.stringify(changes) }),
+    pull: (workspaceId, cursor) => request(`${changesPath(workspaceId)}?since=${cursor}`),
+  };
+}
+
+const isTombstone = (t) => !!t && typeof t.id === "string" && !!t.id && typeof t.purgedAt === "string" && !Number.isNaN(Date.parse(t.purgedAt));
+
+export const EMPTY_SYNC_STATE = { cursor: 0, synced: {} };
+
+/**
+ * One sync round for a workspace: push what changed locally since the last
+ * round, then pull everything the server accepted since `state.cursor`.
+ * `items` are the workspace's local items, `tombstones` its purges not yet
+ * pushed, `state` ({ cursor, synced: { id → updatedAt } }) what the previous
+ * round returned.
+ * Pulled records are checked like imported ones; those that fail are skipped
+ * and counted in `invalid`.
+ * Returns { updates, removals, state, pushed, invalid } – pulled records that
+ * beat the local copy, tombstones that beat one, and the state for the next
+ * round.
+ */
+export async function syncWorkspace(adapter, workspace, items, tombstones, state = EMPTY_SYNC_STATE) {
+  const synced = Object.assign(Object.create(null), state.synced);
+  const outgoing = items.filter(i => synced[i.id] !== i.updatedAt);
+  const { rejected } = await adapter.push(workspace.id, { workspace, items: outgoing, tombstones });
+  const changes = await adapter.pull(workspace.id, state.cursor || 0);
+
+  // Rejected pushes come back as the server's copy, which may predate the cursor.
+  const pulledItems = [...(changes.items || []), ...(rejected?.items || [])];
+  const pulledTombstones = [...(changes.tombstones || []), ...(rejected?.tombstones || [])];
+  const goodItems = pulledItems.filter(r => !checkItem(r).length).map(normaliseItem);
+  const goodTombstones = pulledTombstones.filter(isTombstone);
+  const invalid = pulledItems.length - goodItems.length + pulledTombstones.length - goodTombstones.length;
+  const remote = new Map();
+  for (const r of [...goodItems, ...goodTombstones]) {
+    if (wins(r, remote.get(r.id))) remote.set(r.id, r);
+  }
+  const local = new Map(items.map(i => [i.id, i]));
+  const winners = [...remote.values()].filter(r => wins(r, local.get(r.id)));
+  const updates = winners.filter(r => !r.purgedAt).map(r => ({ ...r, workspaceId: workspace.id }));
+  const removals = winners.filter(r => r.purgedAt && local.has(r.id));
+
+  const next = Object.create(null);
+  for (const i of items) next[i.id] = i.updatedAt;
+  for (const r of updates) next[r.id] = r.updatedAt;
+  for (const t of removals) delete next[t.id];
+  return { updates, removals, state: { cursor: changes.cursor, synced: next }, pushed: outgoing.length + tombstones.length, invalid };
+}
+
+// Applies a round's result for `workspaceId` to the full item list,
+// re-checking each record in case it changed locally while the round was in
+// flight. Records that have since moved to another workspace are left alone.
+export function applyRemote(list, workspaceId, updates, removals) {
+  if (!updates.length && !removals.length) return list;
+  const byId = new Map(list.map(i => [i.id, i]));
+  const ours = (id) => !byId.has(id) || workspaceOf(byId.get(id)) === workspaceId;
+  const had = new Set(byId.keys());
+  for (const r of updates) if (ours(r.id) && wins(r, byId.get(r.id))) byId.set(r.id, r);
+  for (const t of removals) if (byId.has(t.id) && ours(t.id) && wins(t, byId.get(t.id))) byId.delete(t.id);
+  const added = updates.filter(r => !had.has(r.id) && byId.get(r.id) === r);
+  return [...added, ...list.filter(i => byId.has(i.id)).map(i => byId.get(i.id))];
+}
@@ -0,0 +1,53 @@
+import { uid } from "./util.js";
+
+// Messages between open tabs of the app. Each tab keeps its own copy of the
+// data in memory, so after writing to IndexedDB it announces what changed and
+// the other tabs re-read it. BroadcastChannel where available, otherwise a
+// localStorage key whose `storage` event reaches the other tabs.
+
+const CHANNEL = "yt_content_studio";
+const STORAGE_KEY = "ytcs_tab_message";
+const LOCK_PREFIX = "ytcs_tab_";
+
+export const TAB_ID = uid();
+
+let channel = null;
+const getChannel = () => {
+  if (!channel && typeof BroadcastChannel !== "undefined") channel = new BroadcastChannel(CHANNEL);
+  return channel;
+};
+
+export function postTabMessage(message) {
+  const msg = { ...message, from: TAB_ID };
+  const ch = getChannel();
+  if (ch) { ch.postMessage(msg); return; }
+  try { window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...msg, nonce: uid() })); } catch {}
+}
+
+// Calls `handler(message)` for messages from other tabs; returns an unsubscribe function.
+export function onTabMessage(handler) {
+  const ch = getChannel();
+  if (ch) {
+    const listener = (e) => { if (e.data?.from !== TAB_ID) handler(e.data); };
+    ch.addEventListener("message", listener);
+    return () => ch.removeEventListener("message", listener);
+  }
+  const listener = (e) => {
+    if (e.key !== STORAGE_KEY || !e.newValue) return;
+    try { const msg = JSON.parse(e.newValue); if (msg.from !== TAB_ID) handler(msg); } catch {}
+  };
+  window.addEventListener("storage", listener);
+  return () => window.removeEventListener("storage", listener);
+}
+
+// Every tab holds a lock named after itself for as long as it's open, so a
+// tab can tell whether it's alone. Without the Web Locks API we assume it is.
+if (typeof navigator !== "undefined" && navigator.locks) {
+  navigator.locks.request(LOCK_PREFIX + TAB_ID, () => new Promise(() => {})).catch(() => {});
+}
+
+export async function isOnlyTab() {
+  if (typeof navigator === "undefined" || !navigator.locks?.query) return true;
+  const { held = [] } = await navigator.locks.query();
+  return held.filter(l => l.name?.startsWith(LOCK_PREFIX) && l.name !== LOCK_PREFIX + TAB_ID).length === 0;
+}
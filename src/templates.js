@@ -0,0 +1,91 @@
+import { ITEM_TYPES } from "./importer.js";
+import { nowISO, uid } from "./util.js";
+import { firstStatus } from "./workflow.js";
+
+// Video templates: the shape of a video and its children without the
+// video-specific parts. Scripts keep their hook planning and section layout
+// (names + planning notes), headlines stay as placeholders, thumbnails keep
+// their notes. Images, dates and statuses are never copied.
+
+export const TEMPLATE_FILE_KIND = "yt-studio-templates";
+
+const pickTags = (tags) => Array.isArray(tags) ? tags.filter(t => typeof t === "string") : [];
+const str = (v) => typeof v === "string" ? v : "";
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+
+function childTemplate(item) {
+  const base = { type: item.type, title: str(item.title), content: str(item.content), tags: pickTags(item.tags) };
+  if (item.type !== "script") return base;
+  return {
+    ...base,
+    content: "",
+    hookPlanning: str(item.hookPlanning),
+    sections: (item.sections || []).map(s => ({ name: str(s.name), planning: str(s.planning) })),
+  };
+}
+
+export function templateFromVideo(video, children, name) {
+  return {
+    id: uid(),
+    name: name || video.title || "Untitled template",
+    createdAt: nowISO(),
+    video: { title: video.title || "", content: video.content || "", tags: pickTags(video.tags) },
+    children: children.map(childTemplate),
+  };
+}
+
+// Fresh items for a template: the video first, then its children.
+export function instantiateTemplate(template, workflows) {
+  const at = nowISO();
+  const make = (type, parentId, fields) => {
+    const status = firstStatus(workflows, type);
+    return { id: uid(), type, parentId, title: "", content: "", tags: [], status, statusHistory: [{ status, at }], createdAt: at, updatedAt: at, ...fields };
+  };
+  const video = make("video", null, { ...template.video, title: template.video.title || template.name, templateId: template.id });
+  const children = template.children.map(c => {
+    const { type, sections, ...fields } = c;
+    if (type !== "script") return make(type, video.id, fields);
+    return make(type, video.id, { ...fields, hookContent: "", sections: (sections || []).map(s => ({ id: uid(), name: s.name, planning: s.planning, content: "" })) });
+  });
+  return [video, ...children];
+}
+
+export const templateFile = (templates) => ({ kind: TEMPLATE_FILE_KIND, version: 1, exportedAt: nowISO(), templates });
+
+// Returns a list of problems with one template from a file; empty when it's valid.
+export function checkTemplate(t) {
+  if (!isObject(t)) return ["not an object"];
+  const errs = [];
+  if (typeof t.name !== "string") errs.push("name must be a string");
+  if (!isObject(t.video)) errs.push("video must be an object");
+  if (!Array.isArray(t.children)) errs.push("children must be a list");
+  else t.children.forEach((c, i) => {
+    if (!isObject(c)) { errs.push(`child ${i + 1} is not an object`); return; }
+    if (!ITEM_TYPES.includes(c.type) || c.type === "video") errs.push(`child ${i + 1} has unknown type ${JSON.stringify(c.type)}`);
+    if (c.sections != null && (!Array.isArray(c.sections) || !c.sections.every(isObject))) errs.push(`child ${i + 1} sections must be a list of objects`);
+  });
+  return errs;
+}
+
+/**
+ * Accepts a template file (or a bare template / list of them). Valid
+ * templates come back with fresh ids, so importing twice never overwrites;
+ * the others are reported, as the item importer does.
+ * Returns { templates, invalid: [{ index, label, errors }] }.
+ */
+export function readTemplateFile(data) {
+  const list = data?.kind === TEMPLATE_FILE_KIND ? data.templates : Array.isArray(data) ? data : [data];
+  const templates = [], invalid = [];
+  (Array.isArray(list) ? list : []).forEach((t, index) => {
+    const errors = checkTemplate(t);
+    if (errors.length) { invalid.push({ index, label: typeof t?.name === "string" ? `“${t.name}”` : `#${index + 1}`, errors }); return; }
+    templates.push({
+      id: uid(),
+      name: t.name,
+      createdAt: nowISO(),
+      video: { title: str(t.video.title), content: str(t.video.content), tags: pickTags(t.video.tags) },
+      children: t.children.map(childTemplate),
+    });
+  });
+  return { templates, invalid };
+}
@@ -0,0 +1,121 @@
+import { uid } from "./util.js";
+
+// Canvas compositing for thumbnails. A thumbnail item keeps its source image
+// as `imageId` (a blob in IndexedDB), the overlay layers as `composition`,
+// and the last exported result as `renderId`.
+
+export const THUMB_W = 1280;
+export const THUMB_H = 720;
+export const MAX_BYTES = 2 * 1024 * 1024; // YouTube's custom thumbnail limit
+
+export const FONTS = ["Impact, Haettenschweiler, sans-serif", "Arial Black, Arial, sans-serif", "Georgia, serif", "system-ui, sans-serif"];
+
+export function newLayer(kind) {
+  const base = { id: uid(), kind, x: 80, y: 80, opacity: 1, outlineColor: "#000000", outlineWidth: 0, shadow: false };
+  if (kind === "text") return { ...base, text: "BIG TEXT", size: 120, font: FONTS[0], color: "#ffffff", outlineWidth: 8, shadow: true };
+  return { ...base, w: 360, h: 200, color: kind === "ellipse" ? "#ef4444" : "#facc15", outlineWidth: kind === "ellipse" ? 10 : 0, fill: kind !== "ellipse" };
+}
+
+export function loadImage(blob) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(blob);
+    const img = new Image();
+    img.onload = () => { URL.revokeObjectURL(url); resolve(img); };
+    img.onerror = () => { URL.revokeObjectURL(url); reject(new Error("Couldn't read that image")); };
+    img.src = url;
+  });
+}
+
+const textLines = (layer) => String(layer.text || "").split("\n");
+const fontOf = (layer) => `900 ${layer.size}px ${layer.font}`;
+
+// Axis-aligned box of a layer in canvas pixels, used for hit-testing and the selection frame.
+export function layerBounds(ctx, layer) {
+  if (layer.kind !== "text") return { x: layer.x, y: layer.y, w: layer.w, h: layer.h };
+  ctx.save();
+  ctx.font = fontOf(layer);
+  const lines = textLines(layer);
+  const w = Math.max(...lines.map(l => ctx.measureText(l).width));
+  ctx.restore();
+  return { x: layer.x, y: layer.y, w, h: lines.length * layer.size * 1.1 };
+}
+
+// Topmost layer under a point, or null.
+export function hitTest(ctx, layers, x, y) {
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const b = layerBounds(ctx, layers[i]);
+    if (x >= b.x && x <= b.x + b.w && y >= b.y && y <= b.y + b.h) return layers[i].id;
+  }
+  return null;
+}
+
+function applyShadow(ctx, layer) {
+  if (!layer.shadow) return;
+  ctx.shadowColor = "rgba(0,0,0,.75)";
+  ctx.shadowBlur = 16;
+  ctx.shadowOffsetX = 6;
+  ctx.shadowOffsetY = 6;
+}
+
+function drawLayer(ctx, layer) {
+  ctx.save();
+  ctx.globalAlpha = layer.opacity ?? 1;
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = layer.outlineColor;
+  applyShadow(ctx, layer);
+  if (layer.kind === "text") {
+    ctx.font = fontOf(layer);
+    ctx.textBaseline = "top";
+    ctx.fillStyle = layer.color;
+    ctx.lineWidth = layer.outlineWidth * 2; // half the stroke sits under the fill
+    textLines(layer).forEach((line, i) => {
+      const y = layer.y + i * layer.size * 1.1;
+      if (layer.outlineWidth > 0) { ctx.strokeText(line, layer.x, y); ctx.shadowColor = "transparent"; }
+      ctx.fillText(line, layer.x, y);
+    });
+  } else {
+    ctx.beginPath();
+    if (layer.kind === "ellipse") ctx.ellipse(layer.x + layer.w / 2, layer.y + layer.h / 2, Math.abs(layer.w / 2), Math.abs(layer.h / 2), 0, 0, Math.PI * 2);
+    else ctx.rect(layer.x, layer.y, layer.w, layer.h);
+    if (layer.fill) { ctx.fillStyle = layer.color; ctx.fill(); ctx.shadowColor = "transparent"; }
+    if (layer.outlineWidth > 0) { ctx.lineWidth = layer.outlineWidth; ctx.strokeStyle = layer.fill ? layer.outlineColor : layer.color; ctx.stroke(); }
+  }
+  ctx.restore();
+}
+
+// Background image scaled to cover 16:9, then the layers bottom to top.
+export function drawComposition(ctx, image, layers = []) {
+  ctx.clearRect(0, 0, THUMB_W, THUMB_H);
+  ctx.fillStyle = "#111827";
+  ctx.fillRect(0, 0, THUMB_W, THUMB_H);
+  if (image) {
+    const scale = Math.max(THUMB_W / image.width, THUMB_H / image.height);
+    const w = image.width * scale, h = image.height * scale;
+    ctx.drawImage(image, (THUMB_W - w) / 2, (THUMB_H - h) / 2, w, h);
+  }
+  layers.forEach(l => drawLayer(ctx, l));
+}
+
+const toBlob = (canvas, type, quality) => new Promise((resolve, reject) =>
+  canvas.toBlob(b => b ? resolve(b) : reject(new Error("Couldn't encode the image")), type, quality));
+
+// PNG when it fits under 2 MB, otherwise JPEG at the highest quality that does.
+export async function encodeThumbnail(canvas, prefer = "image/png") {
+  if (prefer === "image/png") {
+    const png = await toBlob(canvas, "image/png");
+    if (png.size <= MAX_BYTES) return png;
+  }
+  for (let q = 0.92; q >= 0.4; q -= 0.08) {
+    const jpg = await toBlob(canvas, "image/jpeg", q);
+    if (jpg.size <= MAX_BYTES) return jpg;
+  }
+  throw new Error("Couldn't get the thumbnail under 2 MB");
+}
+
+// Renders a composition to a fresh full-size canvas (no editor chrome).
+export async function renderThumbnail(imageBlob, layers) {
+  const canvas = document.createElement("canvas");
+  canvas.width = THUMB_W; canvas.height = THUMB_H;
+  drawComposition(canvas.getContext("2d"), imageBlob ? await loadImage(imageBlob) : null, layers);
+  return canvas;
+}
@@ -0,0 +1,41 @@
+import { DAY_MS, nowISO } from "./util.js";
+
+// Soft delete. A deleted item keeps its record and gets `deletedAt` plus
+// `deletedWith` (the id whose deletion took it), so restoring a video brings
+// back exactly the children that went with it.
+
+export const isLive = (i) => !i.deletedAt;
+
+export function moveToTrash(items, id, at = nowISO()) {
+  return items.map(i => (i.id === id || i.parentId === id) && !i.deletedAt ? { ...i, deletedAt: at, deletedWith: id, updatedAt: at } : i);
+}
+
+const untrash = (i, at) => { const { deletedAt, deletedWith, ...rest } = i; return { ...rest, updatedAt: at }; };
+
+// Restoring a child whose video is also in the trash restores that video's group too.
+export function restoreFromTrash(items, rootId, at = nowISO()) {
+  const root = items.find(i => i.id === rootId);
+  const parent = root?.parentId ? items.find(i => i.id === root.parentId) : null;
+  const groups = new Set([rootId]);
+  if (parent?.deletedAt) groups.add(parent.deletedWith);
+  return items.map(i => i.deletedAt && groups.has(i.deletedWith) ? untrash(i, at) : i);
+}
+
+// Removes a trash group for good, along with anything else still parented to it.
+export function purgeFromTrash(items, rootId) {
+  return items.filter(i => i.deletedWith !== rootId && i.parentId !== rootId);
+}
+
+// Deleted items whose own deletion started a group, newest first, with what went with them.
+export function trashGroups(items) {
+  return items
+    .filter(i => i.deletedAt && i.deletedWith === i.id)
+    .map(root => ({ root, children: items.filter(i => i.deletedWith === root.id && i.id !== root.id) }))
+    .sort((a, b) => b.root.deletedAt.localeCompare(a.root.deletedAt));
+}
+
+export function purgeExpired(items, days, now = Date.now()) {
+  const cutoff = now - days * DAY_MS;
+  const expired = trashGroups(items).filter(g => Date.parse(g.root.deletedAt) < cutoff);
+  return expired.reduce((list, g) => purgeFromTrash(list, g.root.id), items);
+}
@@ -0,0 +1,19 @@
+// Small helpers shared by the app and its storage/logic modules.
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const nowISO = () => new Date().toISOString();
+export const fmt = (iso) => new Date(iso).toLocaleString();
+export const uid = () => Math.random().toString(36).slice(2) + Date.now().toString(36);
+
+export function downloadFile(name, text, type) {
+  const blob = text instanceof Blob ? text : new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = name; a.click();
+  URL.revokeObjectURL(url);
+}
+
+export const escapeHtml = (s) => String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+
+export const slugify = (s) => String(s || "untitled").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "untitled";
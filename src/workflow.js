@@ -0,0 +1,56 @@
+import { slugify } from "./util.js";
+
+// Status workflows. Each item type has an ordered list of statuses; items
+// store the status `id`, so labels and colours can change freely.
+
+const basic = [
+  { id: "idea", label: "Idea", color: "#94a3b8" },
+  { id: "draft", label: "Draft", color: "#f59e0b" },
+  { id: "final", label: "Final", color: "#22c55e" },
+];
+
+export const DEFAULT_WORKFLOWS = {
+  video: [
+    { id: "idea", label: "Idea", color: "#94a3b8" },
+    { id: "scripted", label: "Scripted", color: "#a78bfa" },
+    { id: "filmed", label: "Filmed", color: "#60a5fa" },
+    { id: "edited", label: "Edited", color: "#22d3ee" },
+    { id: "thumbnail-done", label: "Thumbnail done", color: "#f59e0b" },
+    { id: "scheduled", label: "Scheduled", color: "#f472b6" },
+    { id: "published", label: "Published", color: "#22c55e" },
+  ],
+  script: basic,
+  thumbnail: basic,
+  headline: basic,
+};
+
+// Video statuses from before workflows existed, and the pipeline step each
+// one is closest to (see the v16 migration in db.js).
+export const LEGACY_VIDEO_STATUSES = { draft: "scripted", final: "edited" };
+
+export const statusesFor = (workflows, type) => workflows?.[type]?.length ? workflows[type] : DEFAULT_WORKFLOWS[type] || basic;
+
+// Statuses an item may carry that its workflow no longer lists are reported as `unknown`.
+export function statusInfo(workflows, type, id) {
+  return statusesFor(workflows, type).find(s => s.id === id) || { id, label: id || "—", color: "#6b7280", unknown: true };
+}
+
+export const firstStatus = (workflows, type) => statusesFor(workflows, type)[0].id;
+
+// A fresh id for a new status that doesn't clash with the rest of its workflow.
+export function newStatusId(list, label) {
+  const base = slugify(label);
+  let id = base, n = 2;
+  while (list.some(s => s.id === id)) id = `${base}-${n++}`;
+  return id;
+}
+
+// Items keep `statusHistory: [{ status, at }]`, one entry per status entered.
+// It always continues from the stored copy, so saving a draft or an older
+// revision can't rewrite it. Entries marked `seeded` come from the v15
+// migration or an import: the item was in that status on creation or later.
+export function recordStatus(item, stored, at = item.updatedAt) {
+  const past = Array.isArray(stored?.statusHistory) ? stored.statusHistory : [];
+  if (stored && stored.status === item.status) return { ...item, statusHistory: past };
+  return { ...item, statusHistory: [...past, { status: item.status, at }] };
+}
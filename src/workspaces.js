@@ -0,0 +1,51 @@
+import { nowISO, uid } from "./util.js";
+
+// Workspaces (channels). Every item and template carries a `workspaceId`;
+// records from before workspaces existed belong to the default one.
+
+export const DEFAULT_WORKSPACE = "default";
+export const WORKSPACES_FILE_KIND = "yt-studio-workspaces";
+
+export const workspaceOf = (record) => record.workspaceId || DEFAULT_WORKSPACE;
+
+export const newWorkspace = (name, id = uid()) => ({ id, name, createdAt: nowISO() });
+
+// A video and everything parented to it, trashed children included, so a
+// move keeps trash groups together.
+export const subtreeOf = (items, videoId) => items.filter(i => i.id === videoId || i.parentId === videoId);
+
+export function moveVideo(items, videoId, workspaceId, at = nowISO()) {
+  return items.map(i => (i.id === videoId || i.parentId === videoId) && workspaceOf(i) !== workspaceId ? { ...i, workspaceId, updatedAt: at } : i);
+}
+
+// Copies a video and its live children into `workspaceId` under fresh ids.
+// Image blobs are shared: they're immutable and only pruned when unreferenced.
+export function copyVideo(items, videoId, workspaceId, at = nowISO()) {
+  const source = subtreeOf(items, videoId).filter(i => !i.deletedAt);
+  const ids = new Map(source.map(i => [i.id, uid()]));
+  const copies = source.map(i => ({
+    ...i,
+    id: ids.get(i.id),
+    parentId: i.parentId ? ids.get(i.parentId) : null,
+    workspaceId,
+    createdAt: at,
+    updatedAt: at,
+    ...(i.chosenHeadlineId ? { chosenHeadlineId: ids.get(i.chosenHeadlineId) } : {}),
+  }));
+  return [...copies, ...items];
+}
+
+export const workspacesFile = (workspaces, items) => ({ kind: WORKSPACES_FILE_KIND, version: 1, exportedAt: nowISO(), workspaces, items });
+
+// Returns { workspaces, items } for an all-channels export, or null. Items
+// pointing at a channel the file doesn't list go to its first channel.
+export function readWorkspacesFile(data) {
+  if (data?.kind !== WORKSPACES_FILE_KIND || !Array.isArray(data.workspaces) || !Array.isArray(data.items)) return null;
+  const workspaces = data.workspaces
+    .filter(w => w && typeof w.id === "string" && w.id && typeof w.name === "string")
+    .map(w => ({ id: w.id, name: w.name, createdAt: typeof w.createdAt === "string" ? w.createdAt : nowISO() }));
+  if (!workspaces.length) return null;
+  const known = new Set(workspaces.map(w => w.id));
+  const items = data.items.map(r => r && typeof r === "object" && !known.has(r.workspaceId) ? { ...r, workspaceId: workspaces[0].id } : r);
+  return { workspaces, items };
+}
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inGap, isOverdue, publishingGaps, toICS } from "../src/calendar.js";
+
+const published = (publishedDate) => ({ id: publishedDate, publishedDate });
+const planned = (plannedPublishDate) => ({ id: plannedPublishDate, plannedPublishDate });
+
+test("no videos, no gaps", () => {
+  assert.deepEqual(publishingGaps([], 7, "2026-03-01"), []);
+});
+
+test("a gap between publishes covers the days past maxDays, like the trailing one", () => {
+  const gaps = publishingGaps([published("2026-03-01"), planned("2026-03-20")], 7, "2026-03-01");
+  assert.deepEqual(gaps, [{ from: "2026-03-09", to: "2026-03-19" }, { from: "2026-03-28", to: null }]);
+  assert.equal(inGap(gaps, "2026-03-08"), false);
+  assert.equal(inGap(gaps, "2026-03-09"), true);
+  assert.equal(inGap(gaps, "2026-03-20"), false);
+  assert.equal(inGap(gaps, "2027-01-01"), true);
+});
+
+test("publishes close enough together leave no gap between them", () => {
+  const videos = [planned("2026-03-01"), planned("2026-03-08"), planned("2026-03-09")];
+  assert.deepEqual(publishingGaps(videos, 7, "2026-03-01"), [{ from: "2026-03-17", to: null }]);
+});
+
+test("gaps start no earlier than today and use the last past publish", () => {
+  const videos = [published("2026-01-01"), published("2026-02-01"), planned("2026-03-20")];
+  assert.deepEqual(publishingGaps(videos, 7, "2026-03-01"), [{ from: "2026-03-01", to: "2026-03-19" }, { from: "2026-03-28", to: null }]);
+});
+
+test("a published date wins over the planned one", () => {
+  const video = { id: "v", plannedPublishDate: "2026-04-01", publishedDate: "2026-03-02" };
+  assert.deepEqual(publishingGaps([video], 3, "2026-03-01"), [{ from: "2026-03-06", to: null }]);
+  assert.equal(isOverdue(video, "2026-05-01"), false);
+  assert.equal(isOverdue(planned("2026-04-01"), "2026-05-01"), true);
+});
+
+test("toICS escapes text and folds long lines at 75 octets", () => {
+  const ics = toICS([{ id: "v", title: "Ünïcödé; title, with\\ escapes ".repeat(4), plannedPublishDate: "2026-03-31", tags: ["a,b"] }]);
+  const lines = ics.split("\r\n");
+  assert.equal(lines.at(-1), "");
+  for (const line of lines) assert.ok(new TextEncoder().encode(line).length <= 75, line);
+  const unfolded = ics.replace(/\r\n /g, "");
+  assert.match(unfolded, /SUMMARY:Planned publish: Ünïcödé\\; title\\, with\\\\ escapes/);
+  assert.match(unfolded, /DTSTART;VALUE=DATE:20260331\r\nDTEND;VALUE=DATE:20260401/);
+  assert.match(unfolded, /CATEGORIES:a\\,b/);
+});
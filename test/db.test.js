@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DB_VERSION, migrateRecord } from "../src/db.js";
+
+test("v1 records get string ids, and their children keep pointing at them", () => {
+  const video = migrateRecord({ id: 17, title: "Old" }, 1);
+  const script = migrateRecord({ id: 18, type: "script", parentId: 17 }, 1);
+  assert.equal(video.id, "17");
+  assert.equal(video.type, "video");
+  assert.equal(script.parentId, video.id);
+  assert.equal(migrateRecord({ title: "No id" }, 1).id.length > 0, true);
+  assert.equal(migrateRecord({ id: 1 }, 1).parentId, null);
+});
+
+test("every version ends up with the current fields", () => {
+  for (let v = 1; v < DB_VERSION; v++) {
+    const r = migrateRecord({ id: "a", type: "video", status: "idea", createdAt: "2026-01-01T00:00:00.000Z", tags: [] }, v);
+    assert.equal(typeof r.id, "string", `from v${v}`);
+    assert.ok(Array.isArray(r.tags), `from v${v}`);
+    if (v <= 12) assert.equal(r.workspaceId, "default", `from v${v}`);
+    assert.ok(Array.isArray(r.statusHistory), `from v${v}`);
+  }
+});
+
+test("v2 splits comma-separated tags", () => {
+  assert.deepEqual(migrateRecord({ id: "a", tags: "one, two,,three" }, 2).tags, ["one", "two", "three"]);
+});
+
+test("v5 fills in timestamps", () => {
+  const r = migrateRecord({ id: "a", createdAt: "2025-05-01T00:00:00.000Z" }, 5);
+  assert.equal(r.updatedAt, r.createdAt);
+});
+
+test("script migrations survive malformed sections", () => {
+  const odd = migrateRecord({ id: "s", type: "script", sections: [null, "text", { content: "Body" }] }, 7);
+  assert.equal(odd.sections.length, 1);
+  assert.equal(odd.sections[0].content, "Body");
+  assert.equal(odd.sections[0].name, "Section 1");
+  assert.ok(odd.sections[0].id);
+  assert.equal(odd.hookPlanning, "");
+
+  assert.deepEqual(migrateRecord({ id: "s", type: "script", sections: "oops" }, 7).sections, []);
+  const v8 = migrateRecord({ id: "s", type: "script" }, 8);
+  assert.deepEqual(v8.sections, []);
+  assert.equal(v8.hookContent, "");
+});
+
+test("v12 puts records in the default workspace and v14 seeds their status history", () => {
+  const r = migrateRecord({ id: "a", type: "video", status: "filmed", createdAt: "2026-01-01T00:00:00.000Z" }, 12);
+  assert.equal(r.workspaceId, "default");
+  assert.deepEqual(r.statusHistory, [{ status: "filmed", at: "2026-01-01T00:00:00.000Z", seeded: true }]);
+  assert.equal(migrateRecord({ id: "a", workspaceId: "other" }, 12).workspaceId, "other");
+});
+
+test("v16 moves videos off the legacy draft/final statuses", () => {
+  const history = [{ status: "idea", at: "2026-01-01T00:00:00.000Z" }, { status: "draft", at: "2026-01-02T00:00:00.000Z" }, { status: "scripted", at: "2026-01-03T00:00:00.000Z" }, { status: "final", at: "2026-01-04T00:00:00.000Z" }];
+  const r = migrateRecord({ id: "v", type: "video", status: "final", statusHistory: history }, 15);
+  assert.equal(r.status, "edited");
+  assert.deepEqual(r.statusHistory.map(h => [h.status, h.at.slice(8, 10)]), [["idea", "01"], ["scripted", "02"], ["edited", "04"]]);
+  assert.equal(migrateRecord({ id: "s", type: "script", status: "draft", statusHistory: [] }, 15).status, "draft");
+});
+
+test("current records pass through unchanged", () => {
+  const r = { id: "a", type: "video", workspaceId: "w", statusHistory: [] };
+  assert.deepEqual(migrateRecord(r, DB_VERSION), r);
+});
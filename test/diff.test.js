@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffItems, wordDiff } from "../src/diff.js";
+
+const before = (parts) => parts.filter(p => p.op !== "add").map(p => p.text).join("");
+const after = (parts) => parts.filter(p => p.op !== "del").map(p => p.text).join("");
+
+test("wordDiff marks changed words and merges runs", () => {
+  assert.deepEqual(wordDiff("the quick brown fox", "the slow brown fox"), [
+    { op: "eq", text: "the " }, { op: "del", text: "quick" }, { op: "add", text: "slow" }, { op: "eq", text: " brown fox" },
+  ]);
+  assert.deepEqual(wordDiff("", "new"), [{ op: "add", text: "new" }]);
+  assert.deepEqual(wordDiff("same", "same"), [{ op: "eq", text: "same" }]);
+});
+
+test("wordDiff round-trips both texts", () => {
+  const pairs = [["a b c d e", "a x c e f"], ["one\ntwo\nthree", "zero\none\nthree\nfour"], ["  lead", "lead  "]];
+  for (const [a, b] of pairs) {
+    const parts = wordDiff(a, b);
+    assert.equal(before(parts), a);
+    assert.equal(after(parts), b);
+  }
+});
+
+test("past MAX_EDITS word edits it falls back to a line diff", () => {
+  const line = (i, tag) => Array.from({ length: 10 }, (_, w) => `${tag}${i}w${w}`).join(" ") + "\n";
+  const a = Array.from({ length: 300 }, (_, i) => line(i, i % 2 ? "old" : "same")).join("");
+  const b = Array.from({ length: 300 }, (_, i) => line(i, i % 2 ? "new" : "same")).join("");
+  const parts = wordDiff(a, b);
+  assert.equal(before(parts), a);
+  assert.equal(after(parts), b);
+  const changed = parts.filter(p => p.op !== "eq");
+  assert.equal(changed.length, 300);
+  assert.ok(changed.every(p => p.text.split("\n").filter(Boolean).every(l => l.split(" ").length === 10)), "whole lines only");
+});
+
+test("past MAX_EDITS line edits too it replaces the whole text", () => {
+  const a = Array.from({ length: 2100 }, (_, i) => `old ${i}\n`).join("");
+  const b = Array.from({ length: 2100 }, (_, i) => `new ${i}\n`).join("");
+  // The words both end with stay outside the replacement.
+  const tail = " 2099\n";
+  assert.deepEqual(wordDiff(a, b), [{ op: "del", text: a.slice(0, -tail.length) }, { op: "add", text: b.slice(0, -tail.length) }, { op: "eq", text: tail }]);
+});
+
+test("diffItems pairs script sections by id", () => {
+  const a = { type: "script", title: "T", sections: [{ id: "s1", name: "Intro", content: "hello" }, { id: "s2", name: "End", content: "bye" }] };
+  const b = { type: "script", title: "T", sections: [{ id: "s2", name: "Outro", content: "bye" }, { id: "s1", name: "Intro", content: "hello there" }] };
+  const changed = diffItems(a, b).filter(f => f.changed).map(f => f.key);
+  assert.deepEqual(changed, ["section:s1:content", "section:s2:name"]);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkItem, planImport } from "../src/importer.js";
+
+const at = (s) => new Date(Date.UTC(2026, 0, 1, 0, 0, s)).toISOString();
+const video = (id, s = 1, extra = {}) => ({ id, type: "video", title: id, parentId: null, status: "idea", createdAt: at(0), updatedAt: at(s), ...extra });
+const script = (id, parentId, s = 1, extra = {}) => ({ id, type: "script", title: id, parentId, status: "idea", createdAt: at(0), updatedAt: at(s), ...extra });
+const ids = (list) => list.map(i => i.id);
+
+test("checkItem reports bad records", () => {
+  assert.deepEqual(checkItem(video("v")), []);
+  assert.deepEqual(checkItem(null), ["not an object"]);
+  assert.ok(checkItem({ id: "x", type: "poster" }).some(e => e.includes("unknown type")));
+  assert.ok(checkItem(script("s", "")).includes("missing parentId"));
+  assert.ok(checkItem(video("v", 1, { deletedAt: 5 })).includes("deletedAt is not a date"));
+  assert.ok(checkItem(script("s", "v", 1, { sections: [null] })).includes("section 1 is not an object"));
+});
+
+test("replace keeps valid records and drops invalid ones and orphans", () => {
+  const data = [video("v"), script("s", "v"), script("lost", "nowhere"), { id: 3 }, video("v")];
+  const plan = planImport([video("old")], data, "replace");
+  assert.deepEqual(ids(plan.result), ["v", "s"]);
+  assert.equal(plan.removed, 1);
+  assert.deepEqual(plan.invalid.map(r => r.index), [3, 4]);
+  assert.deepEqual(plan.skipped.map(s => [s.item.id, s.reason]), [["lost", "orphan – parent video not found"]]);
+});
+
+test("replace skips live children of a trashed video but keeps ones trashed with it", () => {
+  const gone = { deletedAt: at(5), deletedWith: "v" };
+  const plan = planImport([], [video("v", 5, gone), script("with", "v", 5, gone), script("live", "v")], "replace");
+  assert.deepEqual(ids(plan.result), ["v", "with"]);
+  assert.deepEqual(plan.skipped.map(s => s.reason), ["parent video is in the trash"]);
+});
+
+test("merge takes newer records, adds new ones and keeps the same or older local copy", () => {
+  const current = [video("a", 5), video("b", 5)];
+  const plan = planImport(current, [video("a", 6, { title: "newer" }), video("b", 5, { title: "tie" }), video("c"), script("s", "a")], "merge");
+  assert.deepEqual(ids(plan.added), ["c", "s"]);
+  assert.deepEqual(ids(plan.updated), ["a"]);
+  assert.deepEqual(plan.result.map(i => i.title), ["c", "s", "newer", "b"]);
+  assert.equal(plan.removed, 0);
+});
+
+test("merge skips ids taken by another channel and children without a parent here", () => {
+  const plan = planImport([video("v")], [video("elsewhere"), script("s", "missing"), script("t", "v")], "merge", new Set(["elsewhere"]));
+  assert.deepEqual(ids(plan.added), ["t"]);
+  assert.deepEqual(plan.skipped.map(s => s.reason), ["id already used in another channel", "orphan – parent video not found"]);
+});
+
+test("merge doesn't add live children under a trashed local video", () => {
+  const current = [video("v", 5, { deletedAt: at(5), deletedWith: "v" })];
+  const plan = planImport(current, [script("s", "v", 9)], "merge");
+  assert.deepEqual(plan.added, []);
+  assert.deepEqual(plan.skipped.map(s => s.reason), ["parent video is in the trash"]);
+  assert.deepEqual(plan.result, current);
+});
+
+test("merge keeps the local trash state unless the file's newer record is live", () => {
+  const trashed = (r) => ({ ...r, deletedAt: at(5), deletedWith: "v" });
+  const current = [trashed(video("v", 5)), trashed(script("s", "v", 5)), video("w", 1)];
+
+  const older = planImport(current, [video("v", 2)], "merge");
+  assert.deepEqual(older.updated, []);
+  assert.equal(older.result[0].deletedAt, at(5));
+
+  const deletedInFile = planImport(current, [video("w", 6, { deletedAt: at(6), deletedWith: "w" })], "merge");
+  assert.equal(deletedInFile.updated[0].deletedAt, undefined);
+
+  const newer = planImport(current, [video("v", 6, { title: "back" })], "merge");
+  assert.deepEqual(ids(newer.updated), ["v"]);
+  assert.deepEqual(newer.result.filter(i => i.deletedAt), []);
+  assert.equal(newer.result.find(i => i.id === "v").title, "back");
+});
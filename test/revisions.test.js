@@ -0,0 +1,35 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { restoreRevision, snapshotsForSave } from "../src/revisions.js";
+import { moveVideo } from "../src/workspaces.js";
+
+const script = { id: "s", type: "script", parentId: "v", workspaceId: "default", title: "Script", hookContent: "Original hook", sections: [], createdAt: "2025-01-01T00:00:00.000Z", updatedAt: "2025-01-01T00:00:00.000Z" };
+
+test("the first save of an item without history keeps the original too", () => {
+  const saved = { ...script, hookContent: "Rewritten hook", updatedAt: "2026-01-01T00:00:00.000Z" };
+  const snaps = snapshotsForSave(saved, script, false);
+  assert.deepEqual(snaps, [script, saved]);
+  assert.deepEqual(snapshotsForSave(saved, script, true), [saved]);
+  assert.deepEqual(snapshotsForSave(saved, null, false), [saved]);
+
+  const restored = restoreRevision(saved, snaps[0]);
+  assert.equal(restored.hookContent, "Original hook");
+  assert.equal(restored.updatedAt, saved.updatedAt, "based on the stored copy, so the save isn't a conflict");
+});
+
+test("restoring keeps where the item lives now", () => {
+  const video = { id: "v", type: "video", title: "Old title", workspaceId: "default", chosenHeadlineId: "h1", updatedAt: "2025-01-01T00:00:00.000Z" };
+  const items = [{ ...video, title: "New title", updatedAt: "2025-06-01T00:00:00.000Z" }, script];
+  const [moved] = moveVideo(items, "v", "second", "2026-01-01T00:00:00.000Z");
+  const { chosenHeadlineId, ...unpaired } = moved;
+  const current = { ...unpaired, deletedAt: "2026-02-01T00:00:00.000Z", deletedWith: "v" };
+
+  const restored = restoreRevision(current, video);
+  assert.equal(restored.title, "Old title");
+  assert.equal(restored.workspaceId, "second");
+  assert.equal(restored.deletedAt, current.deletedAt);
+  assert.equal("chosenHeadlineId" in restored, false);
+
+  const child = restoreRevision({ ...script, parentId: "other" }, script);
+  assert.equal(child.parentId, "other");
+});
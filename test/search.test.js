@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIndex, formatQuery, highlight, isEmptyQuery, parseQuery, search } from "../src/search.js";
+
+const items = [
+  { id: "v1", type: "video", title: "Sourdough basics", tags: ["Baking"], status: "idea", updatedAt: "2026-02-01T10:00:00.000Z", plannedPublishDate: "2026-03-10" },
+  { id: "s1", type: "script", parentId: "v1", title: "Script", status: "draft", updatedAt: "2026-01-05T10:00:00.000Z", sections: [{ name: "Intro", content: "Call to action at the end" }] },
+  { id: "v2", type: "video", title: "Bread knives", tags: [], status: "filmed", updatedAt: "2026-01-01T10:00:00.000Z" },
+  { id: "h2", type: "headline", parentId: "v2", content: "Best bread knife ever", status: "idea", updatedAt: "2026-01-01T10:00:00.000Z" },
+];
+const index = buildIndex(items);
+const run = (q) => search(index, items, parseQuery(q)).map(g => [g.video.id, g.matches.map(m => m.item.id)]);
+
+test("parseQuery splits words, phrases and filters", () => {
+  const p = parseQuery('Intro "call to" type:script tag:"Big Tag" status:Draft');
+  assert.deepEqual(p.terms, [{ tokens: ["intro"] }, { phrase: "call to", tokens: ["call", "to"] }]);
+  assert.deepEqual([p.type, p.tag, p.status], [["script"], ["big tag"], ["draft"]]);
+  assert.equal(p.text, 'Intro "call to"');
+  assert.deepEqual(p.invalid, []);
+  assert.equal(isEmptyQuery(parseQuery("  ")), true);
+});
+
+test("parseQuery reports bad dates and date sources instead of using them", () => {
+  const p = parseQuery("after:2026-02-30 before:2026-13-01 date:someday after:2026-01-15 foo:bar");
+  assert.equal(p.after, "2026-01-15");
+  assert.equal(p.before, "");
+  assert.equal(p.date, "updated");
+  assert.deepEqual(p.invalid, ["after:2026-02-30", "before:2026-13-01", "date:someday"]);
+  assert.equal(p.text, "foo:bar");
+});
+
+test("formatQuery keeps free text as typed and drops invalid values", () => {
+  const p = parseQuery('"Call TO" x type:video after:nope before:2026-02-01 date:publish');
+  assert.equal(formatQuery(p), '"Call TO" x type:video before:2026-02-01 date:publish');
+  assert.equal(formatQuery({ ...p, tag: ["two words"] }), '"Call TO" x type:video tag:"two words" before:2026-02-01 date:publish');
+});
+
+test("words match by prefix across fields and must all match", () => {
+  assert.deepEqual(run("bread"), [["v2", ["v2", "h2"]]]);
+  assert.deepEqual(run("bread ever"), [["v2", ["h2"]]]);
+  assert.deepEqual(run("intr"), [["v1", ["s1"]]]);
+  assert.deepEqual(run('"action at"'), [["v1", ["s1"]]]);
+  assert.deepEqual(run('"at action"'), []);
+});
+
+test("filters narrow results, and a child's tag filter looks at its video", () => {
+  assert.deepEqual(run("type:headline"), [["v2", ["h2"]]]);
+  assert.deepEqual(run("status:idea type:video"), [["v1", ["v1"]]]);
+  assert.deepEqual(run("tag:baking type:script"), [["v1", ["s1"]]]);
+  assert.deepEqual(run("after:2026-01-31"), [["v1", ["v1"]]]);
+  assert.deepEqual(run("before:2026-03-31 after:2026-03-01 date:publish"), [["v1", ["v1", "s1"]]]);
+});
+
+test("highlight marks hits around the first match", () => {
+  const parts = highlight("A long intro. Then the call to action.", parseQuery('"call to"'), 10);
+  assert.deepEqual(parts.filter(p => p.hit).map(p => p.text), ["call to"]);
+  assert.ok(parts[0].text.startsWith("…"));
+});
@@ -0,0 +1,190 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { applyPush, applyRemote, changesSince, emptyDoc, loadDoc, memoryAdapter, syncWorkspace, wins } from "../src/sync.js";
+
+const WS = { id: "ws1", name: "Channel" };
+const at = (s) => new Date(Date.UTC(2026, 0, 1, 0, 0, s)).toISOString();
+const video = (id, s, extra = {}) => ({
+  id, type: "video", parentId: null, title: id, content: "", tags: [], status: "idea", workspaceId: WS.id,
+  createdAt: at(0), updatedAt: at(s), statusHistory: [{ status: "idea", at: at(0) }], ...extra,
+});
+
+// A client as App keeps it: all items, purges not yet pushed and the sync state.
+const client = (items = []) => ({ items, tombstones: [], state: undefined });
+
+async function round(adapter, c) {
+  const result = await syncWorkspace(adapter, WS, c.items.filter(i => i.workspaceId === WS.id), c.tombstones, c.state);
+  c.items = applyRemote(c.items, WS.id, result.updates, result.removals);
+  c.tombstones = [];
+  c.state = result.state;
+  return result;
+}
+
+function purge(c, id, s) {
+  c.items = c.items.filter(i => i.id !== id);
+  c.tombstones.push({ id, purgedAt: at(s) });
+}
+
+test("wins: newer replaces older, ties keep the existing record unless a purge meets an edit", () => {
+  assert.equal(wins(video("a", 2), video("a", 1)), true);
+  assert.equal(wins(video("a", 1), video("a", 2)), false);
+  assert.equal(wins(video("a", 1, { title: "other" }), video("a", 1)), false);
+  assert.equal(wins({ id: "a", purgedAt: at(1) }, video("a", 1)), true);
+  assert.equal(wins(video("a", 1), { id: "a", purgedAt: at(1) }), false);
+  assert.equal(wins(video("a", 1), undefined), true);
+});
+
+test("applyPush stores winners, reports losers and changesSince returns what's new", () => {
+  const doc = emptyDoc(WS);
+  assert.deepEqual(applyPush(doc, { items: [video("a", 1), video("b", 1)] }), { cursor: 2, rejected: { items: [], tombstones: [] } });
+
+  const result = applyPush(doc, { items: [video("a", 3), video("b", 0)], tombstones: [] });
+  assert.equal(result.cursor, 3);
+  assert.deepEqual(result.rejected, { items: [video("b", 1)], tombstones: [] });
+
+  const since = changesSince(doc, 2);
+  assert.deepEqual(since, { cursor: 3, items: [video("a", 3)], tombstones: [] });
+  assert.deepEqual(changesSince(doc, 3).items, []);
+});
+
+test("applyPush keeps the stored record on a tie without rejecting it", () => {
+  const doc = emptyDoc(WS);
+  applyPush(doc, { items: [video("a", 1)] });
+  const result = applyPush(doc, { items: [video("a", 1, { title: "same stamp" })] });
+  assert.deepEqual(result, { cursor: 1, rejected: { items: [], tombstones: [] } });
+  assert.equal(doc.records.a.item.title, "a");
+});
+
+test("applyPush: tombstones beat older edits and lose to newer ones", () => {
+  const doc = emptyDoc(WS);
+  applyPush(doc, { items: [video("a", 1), video("b", 5)] });
+
+  let result = applyPush(doc, { tombstones: [{ id: "a", purgedAt: at(2) }, { id: "b", purgedAt: at(3) }] });
+  assert.deepEqual(doc.records.a.tombstone, { id: "a", purgedAt: at(2) });
+  assert.deepEqual(result.rejected, { items: [video("b", 5)], tombstones: [] });
+
+  result = applyPush(doc, { items: [video("a", 1)] });
+  assert.deepEqual(result.rejected, { items: [], tombstones: [{ id: "a", purgedAt: at(2) }] });
+
+  applyPush(doc, { items: [video("a", 4)] });
+  assert.deepEqual(doc.records.a.item, video("a", 4));
+});
+
+test("syncWorkspace converges two clients on edits and purges", async () => {
+  const adapter = memoryAdapter();
+  const one = client([video("a", 1), video("b", 1)]);
+  const two = client();
+
+  assert.equal((await round(adapter, one)).pushed, 2);
+  await round(adapter, two);
+  assert.deepEqual(two.items.map(i => i.id).sort(), ["a", "b"]);
+
+  two.items = two.items.map(i => i.id === "a" ? { ...i, title: "edited", updatedAt: at(2) } : i);
+  purge(one, "b", 3);
+  await round(adapter, two);
+  await round(adapter, one);
+  await round(adapter, two);
+
+  assert.deepEqual(one.items, two.items);
+  assert.deepEqual(one.items.map(i => [i.id, i.title]), [["a", "edited"]]);
+  assert.equal((await round(adapter, one)).pushed, 0);
+});
+
+test("syncWorkspace: an older edit loses to a purge made elsewhere", async () => {
+  const adapter = memoryAdapter();
+  const one = client([video("a", 1)]);
+  const two = client();
+  await round(adapter, one);
+  await round(adapter, two);
+
+  purge(one, "a", 5);
+  await round(adapter, one);
+  two.items = [{ ...two.items[0], title: "late", updatedAt: at(4) }];
+  const result = await round(adapter, two);
+
+  assert.deepEqual(two.items, []);
+  assert.equal(result.state.synced.a, undefined);
+});
+
+test("syncWorkspace: undoing a purge after it was synced takes over the server's tombstone", async () => {
+  const adapter = memoryAdapter();
+  const one = client([video("x", 1)]);
+  await round(adapter, one);
+  const before = one.items;
+
+  purge(one, "x", 2);
+  await round(adapter, one);
+  one.items = before; // undo restores the record as it was before the purge
+  const result = await round(adapter, one);
+
+  assert.deepEqual(result.removals, [{ id: "x", purgedAt: at(2) }]);
+  assert.deepEqual(one.items, []);
+  assert.deepEqual({ ...one.state.synced }, {});
+});
+
+test("syncWorkspace: a re-imported older record takes over the server's newer copy", async () => {
+  const adapter = memoryAdapter();
+  const one = client([video("x", 3, { title: "newer" })]);
+  await round(adapter, one);
+
+  one.items = [video("x", 1, { title: "older" })];
+  await round(adapter, one);
+
+  assert.deepEqual(one.items, [video("x", 3, { title: "newer" })]);
+  assert.equal(one.state.synced.x, at(3));
+  assert.equal((await round(adapter, one)).pushed, 0);
+});
+
+test("syncWorkspace: a rejected purge brings back the newer record", async () => {
+  const adapter = memoryAdapter();
+  const one = client([video("x", 1)]);
+  const two = client();
+  await round(adapter, one);
+  await round(adapter, two);
+
+  one.items = [{ ...one.items[0], title: "kept", updatedAt: at(5) }];
+  await round(adapter, one);
+  purge(two, "x", 4);
+  await round(adapter, two);
+
+  assert.deepEqual(two.items, one.items);
+});
+
+test("applyRemote leaves records that moved to another workspace alone", () => {
+  const moved = video("a", 5, { workspaceId: "ws2" });
+  const list = [moved, video("b", 1)];
+  const next = applyRemote(list, WS.id, [video("a", 6), video("c", 1)], [{ id: "a", purgedAt: at(7) }, { id: "b", purgedAt: at(2) }]);
+  assert.deepEqual(next, [video("c", 1), moved]);
+});
+
+test("applyRemote keeps local changes made while the round was in flight", () => {
+  const list = [video("a", 5)];
+  assert.equal(applyRemote(list, WS.id, [], []), list);
+  assert.deepEqual(applyRemote(list, WS.id, [video("a", 3)], [{ id: "a", purgedAt: at(4) }]), list);
+});
+
+test("syncWorkspace skips pulled records that aren't valid items or tombstones", async () => {
+  const adapter = memoryAdapter();
+  const doc = emptyDoc(WS);
+  applyPush(doc, { items: [video("a", 1), { id: "bad", type: "video", title: 7, updatedAt: at(1) }, { id: "kid", type: "script", updatedAt: at(1) }], tombstones: [{ id: "gone", purgedAt: "someday" }] });
+  adapter.docs.set(WS.id, doc);
+  const c = client();
+  const result = await round(adapter, c);
+  assert.equal(result.invalid, 3);
+  assert.deepEqual(c.items.map(i => i.id), ["a"]);
+  assert.deepEqual(c.items[0].tags, [], "pulled items are normalised like imported ones");
+});
+
+test("an item id of __proto__ is stored and synced like any other", async () => {
+  const adapter = memoryAdapter();
+  const a = client([video("__proto__", 1)]), b = client();
+  await round(adapter, a);
+  assert.deepEqual(changesSince(adapter.docs.get(WS.id)).items.map(i => i.id), ["__proto__"]);
+  await round(adapter, b);
+  assert.deepEqual(b.items.map(i => i.id), ["__proto__"]);
+  assert.equal((await round(adapter, a)).pushed, 0);
+
+  const doc = loadDoc(JSON.parse(JSON.stringify(adapter.docs.get(WS.id))));
+  applyPush(doc, { items: [video("__proto__", 2)] });
+  assert.equal(changesSince(doc, 1).items[0].updatedAt, at(2));
+});
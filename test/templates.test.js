@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TEMPLATE_FILE_KIND, instantiateTemplate, readTemplateFile, templateFile, templateFromVideo } from "../src/templates.js";
+
+const good = {
+  name: "Tutorial",
+  video: { title: "How to…", tags: ["howto", 3] },
+  children: [{ type: "script", hookPlanning: "Tease the result", sections: [{ name: "Intro", planning: "Why" }] }, { type: "headline" }],
+};
+
+test("a malformed template is skipped and the rest imported", () => {
+  const file = { kind: TEMPLATE_FILE_KIND, templates: [good, { ...good, name: "Bad sections", children: [{ type: "script", sections: "oops" }] }, { ...good, name: "Null section", children: [{ type: "script", sections: [null] }] }, null, { name: "No video", children: [] }] };
+  const { templates, invalid } = readTemplateFile(file);
+  assert.deepEqual(templates.map(t => t.name), ["Tutorial"]);
+  assert.deepEqual(invalid.map(t => [t.index, t.label]), [[1, "“Bad sections”"], [2, "“Null section”"], [3, "#4"], [4, "“No video”"]]);
+  assert.deepEqual(invalid[0].errors, ["child 1 sections must be a list of objects"]);
+  assert.deepEqual(templates[0].video.tags, ["howto"]);
+});
+
+test("bare templates and lists are accepted, with fresh ids", () => {
+  const [a] = readTemplateFile({ ...good, id: "keep-me" }).templates;
+  const [b] = readTemplateFile([good]).templates;
+  assert.notEqual(a.id, "keep-me");
+  assert.notEqual(a.id, b.id);
+  assert.deepEqual(readTemplateFile(null), { templates: [], invalid: [{ index: 0, label: "#1", errors: ["not an object"] }] });
+});
+
+test("a template round-trips through its file and instantiates fresh items", () => {
+  const video = { id: "v", type: "video", title: "Ep 1", content: "notes", tags: ["a"] };
+  const kids = [{ id: "s", type: "script", parentId: "v", hookContent: "Hook text", sections: [{ id: "x", name: "Body", planning: "Plan", content: "Spoken" }] }];
+  const template = templateFromVideo(video, kids, "Episode");
+  const [read] = readTemplateFile(JSON.parse(JSON.stringify(templateFile([template])))).templates;
+  assert.deepEqual(read.children, template.children);
+
+  const items = instantiateTemplate(read, null);
+  assert.equal(items.length, 2);
+  assert.equal(items[1].parentId, items[0].id);
+  assert.equal(items[1].hookContent, "");
+  assert.deepEqual(items[1].sections.map(s => [s.name, s.planning, s.content]), [["Body", "Plan", ""]]);
+  assert.equal(items[0].status, "idea");
+});
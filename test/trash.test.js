@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isLive, moveToTrash, purgeExpired, purgeFromTrash, restoreFromTrash, trashGroups } from "../src/trash.js";
+import { DAY_MS } from "../src/util.js";
+
+const items = [
+  { id: "v", type: "video", parentId: null },
+  { id: "s", type: "script", parentId: "v" },
+  { id: "t", type: "thumbnail", parentId: "v" },
+  { id: "w", type: "video", parentId: null },
+];
+const ids = (list) => list.filter(isLive).map(i => i.id);
+
+test("trashing a video takes its live children along, and restoring brings back only those", () => {
+  let list = moveToTrash(items, "t", "2026-01-01T00:00:00.000Z");
+  list = moveToTrash(list, "v", "2026-01-02T00:00:00.000Z");
+  assert.deepEqual(ids(list), ["w"]);
+  assert.deepEqual(trashGroups(list).map(g => [g.root.id, g.children.map(c => c.id)]), [["v", ["s"]], ["t", []]]);
+
+  list = restoreFromTrash(list, "v", "2026-01-03T00:00:00.000Z");
+  assert.deepEqual(ids(list), ["v", "s", "w"]);
+  assert.equal(list.find(i => i.id === "s").deletedWith, undefined);
+});
+
+test("restoring a child of a trashed video restores the video's group too", () => {
+  let list = moveToTrash(items, "s");
+  list = moveToTrash(list, "v");
+  list = restoreFromTrash(list, "s");
+  assert.deepEqual(ids(list), ["v", "s", "t", "w"]);
+});
+
+test("purging removes the group and anything still parented to it", () => {
+  const list = purgeFromTrash(moveToTrash(items, "v"), "v");
+  assert.deepEqual(list.map(i => i.id), ["w"]);
+});
+
+test("purgeExpired drops only groups older than the retention", () => {
+  const now = Date.parse("2026-02-01T00:00:00.000Z");
+  let list = moveToTrash(items, "v", new Date(now - 31 * DAY_MS).toISOString());
+  list = moveToTrash(list, "w", new Date(now - 29 * DAY_MS).toISOString());
+  assert.deepEqual(purgeExpired(list, 30, now).map(i => i.id), ["w"]);
+  assert.equal(purgeExpired(list, 60, now), list);
+});